@@ -3,30 +3,263 @@
  * Coordinates between content script and AI service
  */
 
-// Configuration
+importScripts('settings.js', 'diff.js', 'redact.js', 'rules.js');
+
+// Configuration. Timing, retry and history values come from the options page (settings.js).
 const CONFIG = {
-    aiServiceUrl: 'http://localhost:11434/api/chat',
+    provider: 'ollama', // Default entry of AI_PROVIDERS
+    ollamaBaseUrl: 'http://localhost:11434',
+    openAIBaseUrl: 'http://localhost:8080/v1', // llama.cpp server; LM Studio uses :1234/v1 and vLLM :8000/v1
     model: 'llama3.2:latest', // Using llama3.2:latest for the newest version
-    maxRetries: 2,
-    requestTimeout: 120000, // 2 minutes for local model loading and generation
-    minTextLength: 25,
+    maxRetries: SETTINGS_FIELDS.maxRetries.default,
+    requestTimeout: SETTINGS_FIELDS.requestTimeout.default,
+    minTextLength: SETTINGS_FIELDS.minTextLength.default,
+    retryDelay: 1000, // Wait before the first retry; doubles with each further attempt (ms)
+    streamValidationInterval: 1000, // How often a streaming check confirms the field is unchanged (ms)
+    chunkTokenBudget: SETTINGS_FIELDS.chunkTokenBudget.default,
+    cacheMaxEntries: 500, // Checked texts kept in the result cache
+    cacheMaxBytes: 4 * 1024 * 1024, // Approximate storage used by the result cache
+    cacheSaveDelay: 1000, // Batch cache writes made in quick succession (ms)
+    scratchpadHistoryMaxEntries: SCRATCHPAD_HISTORY_MAX_ENTRIES,
+    sidePanelConnectTimeout: 5000, // How long a shortcut waits for the panel it opened (ms)
 };
 
 // State management
 const state = {
     pendingChecks: new Map(),
+    segmentResults: new Map(), // Per-field results of already checked paragraphs, keyed like pendingChecks
     checkHistory: [],
+    scratchpadHistory: [],
+    historyRetention: {
+        maxEntries: SETTINGS_FIELDS.historyMaxEntries.default,
+        maxAgeDays: SETTINGS_FIELDS.historyMaxAgeDays.default,
+    },
+    historyLoaded: null,
+    historyUpdate: Promise.resolve(),
+    browserSessionId: null,
+    resultCache: new Map(), // Cache key -> { result, size }, least recently used first
+    resultCacheLoaded: null,
+    resultCacheSaveTimer: null,
     sidePanelPorts: new Map(), // Store connections to side panels
     availableModels: [],
-    selectedModel: null,
+    selectedProvider: null,
+    providerSettings: {}, // Provider id -> { baseUrl, authHeaderName, authHeaderValue }
+    providerSettingsLoaded: null,
+    selectedModel: null, // Cleared by a provider switch until one of its models is picked
+    selectionLoaded: null,
     modelFetchInProgress: null,
+    preferences: { tone: DEFAULT_TONE, language: AUTO_LANGUAGE, template: DEFAULT_PROMPT_TEMPLATE.id }, // Used on sites whose site rule does not set them
+    preferencesLoaded: null,
+    fieldLanguages: new Map(), // Languages pinned from a card, keyed like pendingChecks
+    fieldLanguagesLoaded: null,
 };
 
 const STORAGE_KEYS = {
     selectedModel: 'typeright.selectedModel',
+    selectedProvider: 'typeright.selectedProvider',
+    selectedTone: 'typeright.selectedTone',
+    selectedLanguage: 'typeright.selectedLanguage',
+    selectedTemplate: 'typeright.selectedTemplate',
+    providerSettings: 'typeright.providerSettings',
+    checkHistory: 'typeright.checkHistory',
+    scratchpadHistory: 'typeright.scratchpadHistory',
+    historyRetention: 'typeright.historyRetention', // Superseded by the shared settings; migrated on load
+    browserSessionId: 'typeright.browserSessionId',
+    resultCache: 'typeright.resultCache',
+    fieldLanguages: 'typeright.fieldLanguages',
+};
+
+// Stores updateHistory writes to; see getHistory
+const HISTORY_STORES = ['checkHistory', 'scratchpadHistory'];
+
+const CONTENT_SCRIPT_FILES = ['settings.js', 'diff.js', 'redact.js', 'content.js'];
+
+const SELECTION_MENU_ID = 'typeright-check-selection';
+
+// Prompt choices made in the side panel, either for every site or as the default of the
+// active tab's origin. Site defaults are stored on site rules under the same key.
+const PROMPT_PREFERENCES = {
+    tone: {
+        storageKey: STORAGE_KEYS.selectedTone,
+        getOptions: () => Object.entries(TONE_PRESETS).map(([id, preset]) => ({ id, label: preset.label })),
+    },
+    language: {
+        storageKey: STORAGE_KEYS.selectedLanguage,
+        getOptions: () => [
+            { id: AUTO_LANGUAGE, label: 'Detect automatically' },
+            ...PINNABLE_LANGUAGES.map((code) => ({ id: code, label: getLanguageName(code) })),
+        ],
+    },
+    template: {
+        storageKey: STORAGE_KEYS.selectedTemplate,
+        getOptions: async () => (await loadPromptTemplates()).map(({ id, name }) => ({ id, label: name })),
+    },
+};
+
+// Part of every cache key and history entry; bump it when the parts of the prompt that
+// templates cannot change, or the response schema, change so old results are not reused
+const PROMPT_VERSION = 7;
+
+// Rough token estimate; close enough for English prose to keep chunks inside small context windows
+const CHARS_PER_TOKEN = 4;
+
+// Joins the segments of a chunk so the model sees them as separate paragraphs
+const SEGMENT_SEPARATOR = '\n\n';
+
+// JSON schema passed to Ollama's `format` option so replies come back as structured output
+const GRAMMAR_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        revised: { type: 'string' },
+        alternatives: {
+            type: 'array',
+            items: { type: 'string' },
+        },
+        issues: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    start: { type: 'integer' },
+                    end: { type: 'integer' },
+                    original: { type: 'string' },
+                    replacement: { type: 'string' },
+                    category: { type: 'string', enum: ISSUE_CATEGORIES },
+                    severity: { type: 'string', enum: ISSUE_SEVERITIES },
+                    explanation: { type: 'string' },
+                },
+                required: ['start', 'end', 'original', 'replacement', 'category', 'explanation'],
+            },
+        },
+        summary: { type: 'string' },
+    },
+    required: ['revised', 'alternatives', 'issues', 'summary'],
+};
+
+/**
+ * Chat backends TypeRight can talk to. Each provider knows its endpoints, how to
+ * build a streaming chat request, how to read its stream and model list, and
+ * what to tell the user when it cannot be reached. Everything else is shared.
+ */
+const AI_PROVIDERS = {
+    ollama: {
+        label: 'Ollama',
+        defaultBaseUrl: CONFIG.ollamaBaseUrl,
+        chatPath: '/api/chat',
+        modelsPath: '/api/tags',
+        versionPath: '/api/version',
+        connectionHint: 'Make sure Ollama is running (ollama serve).',
+        emptyModelsHint: 'No models detected. Use "ollama pull <model>" then click Refresh.',
+        buildChatBody: ({ model, messages, schema }) => ({
+            model,
+            messages,
+            stream: true,
+            format: schema,
+            temperature: 0.3,
+        }),
+        // Newline-delimited JSON, one message fragment per line
+        parseStreamLine: (line) => {
+            const chunk = JSON.parse(line);
+            if (chunk.error) {
+                throw new Error(`Ollama error: ${chunk.error}`);
+            }
+
+            return { content: chunk.message?.content || '', done: chunk.done === true };
+        },
+        parseModels: (data) => {
+            if (!data || !Array.isArray(data.models)) {
+                throw new Error('Unexpected response format from Ollama');
+            }
+
+            return data.models.map((model) => ({
+                name: model.name,
+                size: model.size,
+                modifiedAt: model.modified_at,
+            }));
+        },
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultBaseUrl: CONFIG.openAIBaseUrl,
+        chatPath: '/chat/completions',
+        modelsPath: '/models',
+        connectionHint: 'Make sure your llama.cpp, LM Studio or vLLM server is running.',
+        emptyModelsHint: 'No models detected. Load a model in your server, then click Refresh.',
+        // Older servers reject json_schema response formats; they are retried without one
+        retriesWithoutSchema: true,
+        buildChatBody: ({ model, messages, schema }) => ({
+            model,
+            messages,
+            stream: true,
+            temperature: 0.3,
+            ...(schema && {
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: 'grammar_check', schema },
+                },
+            }),
+        }),
+        // Server-sent events; only data lines carry content
+        parseStreamLine: (line) => {
+            if (!line.startsWith('data:')) {
+                return null;
+            }
+
+            const data = line.slice('data:'.length).trim();
+            if (data === '[DONE]') {
+                return { content: '', done: true };
+            }
+
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                throw new Error(`Server error: ${chunk.error.message || chunk.error}`);
+            }
+
+            return { content: chunk.choices?.[0]?.delta?.content || '', done: false };
+        },
+        parseModels: (data) => {
+            if (!data || !Array.isArray(data.data)) {
+                throw new Error('Unexpected response format from the model list endpoint');
+            }
+
+            return data.data.map((model) => ({
+                name: model.id,
+                modifiedAt: model.created ? new Date(model.created * 1000).toISOString() : undefined,
+            }));
+        },
+    },
 };
 
-initializeModelSelection();
+function getActiveProvider() {
+    return AI_PROVIDERS[state.selectedProvider] || AI_PROVIDERS[CONFIG.provider];
+}
+
+function getProviderId(provider) {
+    return Object.keys(AI_PROVIDERS).find((id) => AI_PROVIDERS[id] === provider);
+}
+
+function getProviderBaseUrl(provider) {
+    return state.providerSettings[getProviderId(provider)]?.baseUrl || provider.defaultBaseUrl;
+}
+
+/**
+ * Request headers for a provider, including the optional auth header set in the side panel
+ */
+function getProviderHeaders(provider, headers = {}) {
+    const { authHeaderName, authHeaderValue } = state.providerSettings[getProviderId(provider)] || {};
+
+    if (authHeaderName && authHeaderValue) {
+        return { ...headers, [authHeaderName]: authHeaderValue };
+    }
+
+    return headers;
+}
+
+state.selectionLoaded = Promise.all([initializeProviderSelection(), initializeModelSelection()]);
+loadHistory();
+// Failed history writes are already logged by updateHistory
+watchSettings((settings) => applySettings(settings).catch(() => {}));
+loadResultCache();
 
 function hasSidePanelConnection(tabId) {
     if (tabId == null) {
@@ -64,6 +297,20 @@ function broadcastToSidePanels(targetTabId, message) {
     }
 }
 
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    Array.from(state.segmentResults.keys())
+        .filter((requestKey) => requestKey.startsWith(`${tabId}:`))
+        .forEach((requestKey) => state.segmentResults.delete(requestKey));
+
+    await loadFieldLanguages();
+    const pinnedKeys = Array.from(state.fieldLanguages.keys())
+        .filter((requestKey) => requestKey.startsWith(`${tabId}:`));
+    if (pinnedKeys.length > 0) {
+        pinnedKeys.forEach((requestKey) => state.fieldLanguages.delete(requestKey));
+        await saveFieldLanguages();
+    }
+});
+
 /**
  * Listen for connections from side panel
  */
@@ -83,6 +330,10 @@ chrome.runtime.onConnect.addListener((port) => {
 
             state.sidePanelPorts.delete(portKey);
 
+            const scratchpadKey = getScratchpadRequestKey(portKey);
+            state.pendingChecks.get(scratchpadKey)?.controller.abort();
+            state.segmentResults.delete(scratchpadKey);
+
             if (existingTabId != null) {
                 try {
                     chrome.tabs.sendMessage(existingTabId, {
@@ -148,16 +399,10 @@ chrome.runtime.onConnect.addListener((port) => {
                     break;
 
                 case 'requestHistory':
-                    {
-                        const tabFilteredHistory = message.tabId != null
-                            ? state.checkHistory.filter(entry => entry.tabId === message.tabId)
-                            : state.checkHistory;
-
-                        port.postMessage({
-                            action: 'historyUpdate',
-                            history: tabFilteredHistory,
-                        });
-                    }
+                    port.postMessage({
+                        action: 'historyUpdate',
+                        history: await getTabHistory(message.tabId),
+                    });
                     break;
 
                 case 'dismissEntry':
@@ -165,21 +410,21 @@ chrome.runtime.onConnect.addListener((port) => {
                         break;
                     }
 
-                    const beforeLength = state.checkHistory.length;
-                    state.checkHistory = state.checkHistory.filter((entry) => {
-                        const sameTimestamp = entry.timestamp === message.timestamp;
-                        const sameElement = message.elementId ? entry.elementId === message.elementId : true;
-                        return !(sameTimestamp && sameElement);
-                    });
-
-                    if (state.checkHistory.length !== beforeLength) {
-                        console.log('TypeRight: Entry dismissed from history');
-                        broadcastToSidePanels(null, {
-                            action: 'removeSuggestion',
-                            data: {
-                                timestamp: message.timestamp,
-                                elementId: message.elementId ?? null,
-                            },
+                    try {
+                        if (await removeHistoryEntry(message.timestamp, message.elementId)) {
+                            console.log('TypeRight: Entry dismissed from history');
+                            broadcastToSidePanels(null, {
+                                action: 'removeSuggestion',
+                                data: {
+                                    timestamp: message.timestamp,
+                                    elementId: message.elementId ?? null,
+                                },
+                            });
+                        }
+                    } catch (error) {
+                        port.postMessage({
+                            action: 'statusUpdate',
+                            data: { message: 'Failed to dismiss the entry. Please try again.', type: 'error' },
                         });
                     }
                     break;
@@ -193,12 +438,67 @@ chrome.runtime.onConnect.addListener((port) => {
                         await chrome.tabs.sendMessage(targetTabId, {
                             action: 'highlightElement',
                             elementId: message.elementId,
-                        });
+                        }, { frameId: message.frameId ?? 0 });
                     } catch (err) {
                         console.error('TypeRight: Failed to highlight element:', err);
                     }
                     break;
 
+                case 'clearHistory':
+                    try {
+                        await clearHistory();
+                    } catch (error) {
+                        port.postMessage({
+                            action: 'statusUpdate',
+                            data: { message: 'Failed to clear history. Please try again.', type: 'error' },
+                        });
+                        break;
+                    }
+                    broadcastToSidePanels(null, {
+                        action: 'historyUpdate',
+                        history: [],
+                    });
+                    broadcastToSidePanels(null, {
+                        action: 'scratchpadHistory',
+                        history: [],
+                    });
+                    break;
+
+                case 'checkScratchpad':
+                    await handleScratchpadCheck(port, message, getScratchpadRequestKey(portKey));
+                    break;
+
+                case 'requestScratchpadHistory':
+                    port.postMessage({
+                        action: 'scratchpadHistory',
+                        history: await getHistory('scratchpadHistory'),
+                    });
+                    break;
+
+                case 'getHistorySettings':
+                    await loadHistory();
+                    port.postMessage({
+                        action: 'historySettings',
+                        retention: state.historyRetention,
+                    });
+                    break;
+
+                case 'setHistorySettings':
+                    await handleHistorySettingsRequest(port, message.retention);
+                    break;
+
+                case 'applySuggestion':
+                    await handleApplyRequest(port, targetTabId, message);
+                    break;
+
+                case 'undoApply':
+                    await handleUndoApplyRequest(port, targetTabId, message);
+                    break;
+
+                case 'recheck':
+                    await handleRecheckRequest(port, targetTabId, message);
+                    break;
+
                 case 'getCaptureStatus':
                     await handleCaptureStatusRequest(port, targetTabId);
                     break;
@@ -207,6 +507,34 @@ chrome.runtime.onConnect.addListener((port) => {
                     await handleCaptureToggleRequest(port, targetTabId, Boolean(message.enabled));
                     break;
 
+                case 'setSiteRule':
+                    await handleSiteRuleRequest(port, targetTabId, message.mode);
+                    break;
+
+                case 'requestPreference':
+                    await handlePreferenceListRequest(port, targetTabId, message.preference);
+                    break;
+
+                case 'setPreference':
+                    await handlePreferenceSelectionRequest(port, targetTabId, message.preference, message.value, message.forSite === true);
+                    break;
+
+                case 'getDictionary':
+                    port.postMessage({ action: 'dictionary', dictionary: await loadDictionary() });
+                    break;
+
+                case 'setDictionary':
+                    await handleDictionaryUpdate(port, message.dictionary);
+                    break;
+
+                case 'addToDictionary':
+                    await handleDictionaryAddition(port, targetTabId, message);
+                    break;
+
+                case 'setFieldLanguage':
+                    await handleFieldLanguageRequest(port, targetTabId, message);
+                    break;
+
                 case 'requestModels':
                     await handleModelListRequest(port, { forceRefresh: false });
                     break;
@@ -218,6 +546,26 @@ chrome.runtime.onConnect.addListener((port) => {
                 case 'setModel':
                     await handleModelSelectionRequest(port, message.model);
                     break;
+
+                case 'requestProviders':
+                    handleProviderListRequest(port);
+                    break;
+
+                case 'setProvider':
+                    await handleProviderSelectionRequest(port, message.provider);
+                    break;
+
+                case 'testConnection':
+                    await handleConnectionTestRequest(port, message.provider);
+                    break;
+
+                case 'getProviderSettings':
+                    await handleProviderSettingsRequest(port, message.provider);
+                    break;
+
+                case 'setProviderSettings':
+                    await handleProviderSettingsUpdate(port, message.provider, message.settings);
+                    break;
             }
         });
 
@@ -243,7 +591,7 @@ async function queryCaptureStatus(tabId) {
     try {
         const response = await chrome.tabs.sendMessage(tabId, {
             action: 'getCaptureStatus',
-        });
+        }, { frameId: 0 });
         return response?.enabled === true;
     } catch (error) {
         if (!isMissingContentScriptError(error)) {
@@ -253,25 +601,68 @@ async function queryCaptureStatus(tabId) {
     }
 }
 
+/**
+ * Inject the content script into every frame of the tab that does not have it yet,
+ * so editors inside iframes follow the same page capture toggle.
+ * Returns the IDs of the frames that were injected.
+ */
 async function ensureContentScript(tabId) {
+    let probeResults;
+
     try {
+        probeResults = await chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            func: () => globalThis.typeRightContentScriptLoaded === true,
+        });
+    } catch (error) {
+        // Without page access the frames cannot be probed, but an existing script still works
         const response = await chrome.tabs.sendMessage(tabId, {
             action: 'getCaptureStatus',
-        });
+        }, { frameId: 0 }).catch(() => null);
 
         if (response) {
-            return;
-        }
-    } catch (error) {
-        if (!isMissingContentScriptError(error)) {
-            console.debug('TypeRight: Injecting content script after probe failed:', error);
+            return [];
         }
+
+        throw error;
+    }
+
+    const missingFrameIds = probeResults
+        .filter((injection) => injection.result !== true)
+        .map((injection) => injection.frameId);
+
+    if (missingFrameIds.length === 0) {
+        return [];
     }
 
     await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['content.js'],
+        target: { tabId, frameIds: missingFrameIds },
+        files: CONTENT_SCRIPT_FILES,
     });
+
+    return missingFrameIds;
+}
+
+/**
+ * Bring frames added after capture was enabled up to the tab's capture state
+ */
+async function handleFrameScriptRequest(tabId) {
+    if (!hasSidePanelConnection(tabId) || !(await queryCaptureStatus(tabId))) {
+        return;
+    }
+
+    const injectedFrameIds = await ensureContentScript(tabId);
+
+    await Promise.all(injectedFrameIds.map(async (frameId) => {
+        try {
+            await chrome.tabs.sendMessage(tabId, { action: 'sidePanelStatus', isOpen: true }, { frameId });
+            await chrome.tabs.sendMessage(tabId, { action: 'setCaptureEnabled', enabled: true }, { frameId });
+        } catch (error) {
+            if (!isMissingContentScriptError(error)) {
+                console.warn('TypeRight: Failed to enable capture in frame:', frameId, error);
+            }
+        }
+    }));
 }
 
 function formatCaptureError(error) {
@@ -284,12 +675,82 @@ function formatCaptureError(error) {
     return message || 'Unable to enable page checking.';
 }
 
+/**
+ * The tab's origin and the most specific site rule that sets a checking mode for its URL.
+ * Rules that only set prompt defaults are left out, so they never override a wildcard mode.
+ * Pages TypeRight cannot run on have no site.
+ */
+async function getSiteRuleInfo(tabId) {
+    const url = await getTabUrl(tabId);
+
+    if (!/^https?:/i.test(url)) {
+        return { site: null, siteRule: null };
+    }
+
+    return {
+        site: new URL(url).origin,
+        siteRule: findSiteRule((await loadSiteRules()).filter((rule) => rule.mode), url),
+    };
+}
+
+async function getTabUrl(tabId) {
+    const tab = tabId == null ? null : await chrome.tabs.get(tabId).catch(() => null);
+    return tab?.url || '';
+}
+
+/**
+ * Turn page capture on or off in the tab. Throws when the page cannot be reached.
+ */
+async function setTabCapture(tabId, enabled) {
+    if (enabled) {
+        await ensureContentScript(tabId);
+        await chrome.tabs.sendMessage(tabId, {
+            action: 'sidePanelStatus',
+            isOpen: true,
+        });
+    }
+
+    const response = await chrome.tabs.sendMessage(tabId, {
+        action: 'setCaptureEnabled',
+        enabled,
+    });
+
+    if (response?.enabled !== enabled) {
+        throw new Error('The page did not acknowledge the capture setting.');
+    }
+}
+
+/**
+ * Report the tab's capture state, first applying an "always" or "never" site rule.
+ * The side panel asks on every tab switch and page load, so rules follow navigation.
+ */
 async function handleCaptureStatusRequest(port, tabId) {
-    const enabled = await queryCaptureStatus(tabId);
+    let enabled = await queryCaptureStatus(tabId);
+    const siteInfo = await getSiteRuleInfo(tabId);
+    const mode = siteInfo.siteRule?.mode;
+
+    if ((mode === 'always' && !enabled) || (mode === 'never' && enabled)) {
+        try {
+            await setTabCapture(tabId, mode === 'always');
+            enabled = mode === 'always';
+        } catch (error) {
+            console.warn('TypeRight: Failed to apply site rule:', siteInfo.siteRule.pattern, error);
+            port.postMessage({
+                action: 'captureStatus',
+                tabId,
+                enabled,
+                ...siteInfo,
+                error: formatCaptureError(error),
+            });
+            return;
+        }
+    }
+
     port.postMessage({
         action: 'captureStatus',
         tabId,
         enabled,
+        ...siteInfo,
     });
 }
 
@@ -304,28 +765,27 @@ async function handleCaptureToggleRequest(port, tabId, enabled) {
         return;
     }
 
-    try {
-        if (enabled) {
-            await ensureContentScript(tabId);
-            await chrome.tabs.sendMessage(tabId, {
-                action: 'sidePanelStatus',
-                isOpen: true,
-            });
-        }
+    const siteInfo = await getSiteRuleInfo(tabId);
 
-        const response = await chrome.tabs.sendMessage(tabId, {
-            action: 'setCaptureEnabled',
-            enabled,
+    if (enabled && siteInfo.siteRule?.mode === 'never') {
+        port.postMessage({
+            action: 'captureStatus',
+            tabId,
+            enabled: false,
+            ...siteInfo,
+            error: 'Checking is blocked on this site by your site rules.',
         });
+        return;
+    }
 
-        if (response?.enabled !== enabled) {
-            throw new Error('The page did not acknowledge the capture setting.');
-        }
+    try {
+        await setTabCapture(tabId, enabled);
 
         port.postMessage({
             action: 'captureStatus',
             tabId,
             enabled,
+            ...siteInfo,
         });
     } catch (error) {
         console.error('TypeRight: Failed to change page capture status:', error);
@@ -333,11 +793,165 @@ async function handleCaptureToggleRequest(port, tabId, enabled) {
             action: 'captureStatus',
             tabId,
             enabled: false,
+            ...siteInfo,
             error: formatCaptureError(error),
         });
     }
 }
 
+/**
+ * Remember a mode for the tab's origin, then apply it to the tab right away. An empty
+ * mode removes the origin's mode and keeps any prompt defaults it sets.
+ */
+async function handleSiteRuleRequest(port, tabId, mode) {
+    const { site } = await getSiteRuleInfo(tabId);
+
+    if (!site || (mode && !SITE_RULE_MODES.includes(mode))) {
+        port.postMessage({
+            action: 'captureStatus',
+            tabId,
+            enabled: await queryCaptureStatus(tabId),
+            site,
+            siteRule: null,
+            error: 'Site rules only work on regular web pages.',
+        });
+        return;
+    }
+
+    const rules = await loadSiteRules();
+    const { mode: previousMode, ...existingRule } = rules.find((rule) => rule.pattern === site) || { pattern: site };
+    const updatedRule = mode ? { ...existingRule, mode } : existingRule;
+    await saveSiteRules([...rules.filter((rule) => rule.pattern !== site), updatedRule]);
+    console.log('TypeRight: Site rule for', site, 'changed from', previousMode || 'none', 'to', mode || 'none');
+
+    await handleCaptureStatusRequest(port, tabId);
+}
+
+/**
+ * Forward an apply request from the side panel to the field's content script
+ */
+async function handleApplyRequest(port, tabId, message) {
+    const { elementId, timestamp, kind } = message;
+
+    if (tabId == null || !elementId) {
+        port.postMessage({
+            action: 'applyResult',
+            timestamp,
+            elementId,
+            kind,
+            success: false,
+            error: 'The field for this suggestion is not available.',
+        });
+        return;
+    }
+
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'applySuggestion',
+            elementId,
+            requestId: message.requestId,
+            requestVersion: message.requestVersion,
+            originalText: message.originalText,
+            text: message.text,
+        }, { frameId: message.frameId ?? 0 });
+
+        port.postMessage({
+            action: 'applyResult',
+            timestamp,
+            elementId,
+            kind,
+            success: response?.success === true,
+            undoToken: response?.undoToken ?? null,
+            error: response?.error || (response?.success ? '' : 'The page did not accept the suggestion.'),
+        });
+    } catch (error) {
+        console.error('TypeRight: Failed to apply suggestion:', error);
+        port.postMessage({
+            action: 'applyResult',
+            timestamp,
+            elementId,
+            kind,
+            success: false,
+            error: isMissingContentScriptError(error)
+                ? 'The page is no longer available. Enable page checking and try again.'
+                : formatCaptureError(error),
+        });
+    }
+}
+
+/**
+ * Ask the field's content script to check it again, skipping the result cache
+ */
+async function handleRecheckRequest(port, tabId, message) {
+    const { elementId, timestamp } = message;
+
+    try {
+        if (tabId == null || !elementId) {
+            throw new Error('The field for this suggestion is not available.');
+        }
+
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'recheckElement',
+            elementId,
+            bypassCache: message.bypassCache !== false,
+        }, { frameId: message.frameId ?? 0 });
+
+        port.postMessage({
+            action: 'recheckResult',
+            timestamp,
+            elementId,
+            bypassCache: message.bypassCache !== false,
+            success: response?.success === true,
+            error: response?.error || (response?.success ? '' : 'The page did not start a new check.'),
+        });
+    } catch (error) {
+        console.error('TypeRight: Failed to re-check field:', error);
+        port.postMessage({
+            action: 'recheckResult',
+            timestamp,
+            elementId,
+            success: false,
+            error: isMissingContentScriptError(error)
+                ? 'The page is no longer available. Enable page checking and try again.'
+                : error.message,
+        });
+    }
+}
+
+async function handleUndoApplyRequest(port, tabId, message) {
+    const { elementId, timestamp, undoToken } = message;
+
+    try {
+        if (tabId == null || !undoToken) {
+            throw new Error('There is nothing to undo for this suggestion.');
+        }
+
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'undoApply',
+            undoToken,
+        }, { frameId: message.frameId ?? 0 });
+
+        port.postMessage({
+            action: 'undoResult',
+            timestamp,
+            elementId,
+            success: response?.success === true,
+            error: response?.error || '',
+        });
+    } catch (error) {
+        console.error('TypeRight: Failed to undo applied suggestion:', error);
+        port.postMessage({
+            action: 'undoResult',
+            timestamp,
+            elementId,
+            success: false,
+            error: isMissingContentScriptError(error)
+                ? 'The page is no longer available.'
+                : error.message,
+        });
+    }
+}
+
 /**
  * Listen for messages from content script
  */
@@ -347,7 +961,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Get tabId safely
     const tabId = sender.tab ? sender.tab.id : null;
 
-    if (!tabId && message.action !== 'getHistory') {
+    if (!tabId && message.action !== 'getHistory' && message.action !== 'previewPromptTemplate') {
         console.error('TypeRight: No tab ID available for message:', message.action);
         sendResponse({ success: false, error: 'No tab ID available' });
         return true;
@@ -359,32 +973,58 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 console.warn('TypeRight: Ignoring grammar check because side panel is not open for tab', tabId);
                 sendResponse({ success: false, panelOpen: false });
             } else {
-                handleGrammarCheck(message, tabId);
+                handleGrammarCheck(message, tabId, {
+                    frameId: sender.frameId ?? 0,
+                    pageUrl: sender.tab?.url,
+                });
                 sendResponse({ success: true, panelOpen: true });
             }
             break;
 
+        case 'ensureFrameScripts':
+            handleFrameScriptRequest(tabId)
+                .then(() => sendResponse({ success: true }))
+                .catch((error) => {
+                    console.debug('TypeRight: Unable to inject into new frames:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            break;
+
         case 'openSidePanel':
             handleOpenSidePanel(tabId);
             sendResponse({ success: true });
             break;
 
         case 'getHistory':
-            sendResponse({ history: state.checkHistory });
+            getHistory()
+                .then((history) => sendResponse({ history }))
+                .catch((error) => sendResponse({ history: [], error: error.message }));
             break;
-    }
+
+        case 'previewPromptTemplate':
+            handlePromptTemplatePreview(message)
+                .then((result) => sendResponse({ success: true, result }))
+                .catch((error) => sendResponse({ success: false, error: error.message }));
+            break;
+    }
 
     return true; // Keep message channel open for async responses
 });
 
 /**
- * Handle grammar check request
+ * Handle grammar check request. Text selected through the context menu has source
+ * 'selection': it has no field, so the result is not checked against or shown in the
+ * page and goes to the side panel only, and the minimum length does not apply.
+ * Its redacted values go with the panel messages, never into history.
  */
-async function handleGrammarCheck(message, tabId) {
-    const { text, elementId, requestId, requestVersion } = message;
+async function handleGrammarCheck(message, tabId, { frameId, pageUrl, source = 'field', redactionValues = null }) {
+    const { text, elementId, requestId, requestVersion, bypassCache } = message;
     const normalizedText = (text || '').trim();
+    const redactions = normalizeRedactions(message.redactions);
+    const isSelection = source === 'selection';
+    const panelRedactions = redactionValues ? { redactionValues } : {};
 
-    if (normalizedText.length < CONFIG.minTextLength) {
+    if (normalizedText.length < (isSelection ? 1 : CONFIG.minTextLength)) {
         console.log('TypeRight: Ignoring grammar check below minimum length');
         return;
     }
@@ -396,28 +1036,114 @@ async function handleGrammarCheck(message, tabId) {
 
     console.log('TypeRight: Checking grammar for text length:', normalizedText.length);
 
-    const requestKey = `${tabId}:${elementId}`;
-    state.pendingChecks.set(requestKey, { requestId, requestVersion });
+    const requestKey = isSelection ? `${tabId}:selection` : `${tabId}:${elementId}`;
+    const controller = new AbortController();
+    const isPageCurrent = () => (isSelection
+        ? Promise.resolve(true)
+        : isCurrentCheck(tabId, frameId, elementId, requestId, requestVersion, normalizedText));
+
+    // A newer check for the same field supersedes any stream still in flight
+    state.pendingChecks.get(requestKey)?.controller.abort();
+    state.pendingChecks.set(requestKey, { requestId, requestVersion, controller });
 
     try {
+        // After a service worker restart the stored provider may still be loading
+        await state.selectionLoaded;
         const panelConnectedInitially = hasSidePanelConnection(tabId);
+        const rulesOnly = await loadRulesOnly();
 
         if (panelConnectedInitially) {
             broadcastToSidePanels(tabId, {
                 action: 'statusUpdate',
                 data: {
-                    message: 'Checking with Ollama…',
+                    message: `Checking with ${rulesOnly ? 'the built-in rules' : getActiveProvider().label}…`,
                     type: 'working',
                 },
             });
         }
 
         // Call AI service to check grammar
-        const modelToUse = state.selectedModel || CONFIG.model;
-        const result = await checkGrammarWithAI(normalizedText, modelToUse);
+        const modelToUse = rulesOnly ? null : await getSelectedModel();
+        const { value: tone } = await getPreferenceInfo(pageUrl, 'tone');
+        const template = await getPromptTemplate(pageUrl);
+        const dictionary = await loadDictionary();
+        const { minimumSeverity } = await loadIssueFilters();
+        await loadFieldLanguages();
+        const language = await resolveLanguage(normalizedText, {
+            pinnedLanguage: state.fieldLanguages.get(requestKey),
+            fieldLanguage: message.fieldLanguage,
+            pageUrl,
+        });
+        let lastPartialRevision = '';
+        let lastValidationAt = Date.now();
+
+        // The rules answer at once; their card stands in until the model starts replying
+        if (!rulesOnly) {
+            const provisional = checkDocumentWithRules(normalizedText, { language: language.code, dictionary, minimumSeverity });
+            broadcastToSidePanels(tabId, {
+                action: 'partialSuggestion',
+                ...panelRedactions,
+                data: {
+                    tabId,
+                    elementId,
+                    requestId,
+                    originalText: normalizedText,
+                    correctedText: provisional.correctedText,
+                    issues: provisional.issues,
+                    provisional: true,
+                },
+            });
+        }
+
+        const result = await checkDocument(normalizedText, modelToUse, requestKey, {
+            signal: controller.signal,
+            bypassCache: bypassCache === true,
+            prompt: getTemplatePrompt(template, {
+                tone,
+                language: language.code,
+                fieldLabel: message.fieldLabel,
+                site: getPageHost(pageUrl),
+            }),
+            dictionary,
+            minimumSeverity,
+            rulesOnly,
+            onProgress: (partialRevision) => {
+                if (!isLatestCheck(requestKey, requestId, requestVersion)) {
+                    controller.abort();
+                    return;
+                }
+
+                if (Date.now() - lastValidationAt >= CONFIG.streamValidationInterval) {
+                    lastValidationAt = Date.now();
+                    isPageCurrent().then((current) => {
+                        if (!current) {
+                            console.log('TypeRight: Field changed mid-stream; cancelling check for element:', elementId);
+                            controller.abort();
+                        }
+                    });
+                }
+
+                if (partialRevision === lastPartialRevision) {
+                    return;
+                }
+
+                lastPartialRevision = partialRevision;
+                broadcastToSidePanels(tabId, {
+                    action: 'partialSuggestion',
+                    ...panelRedactions,
+                    data: {
+                        tabId,
+                        elementId,
+                        requestId,
+                        originalText: normalizedText,
+                        correctedText: partialRevision,
+                    },
+                });
+            },
+        });
 
         if (!isLatestCheck(requestKey, requestId, requestVersion)
-            || !(await isCurrentCheck(tabId, elementId, requestId, requestVersion, normalizedText))
+            || !(await isPageCurrent())
             || !isLatestCheck(requestKey, requestId, requestVersion)) {
             console.log('TypeRight: Discarding stale grammar result for element:', elementId);
             return;
@@ -436,44 +1162,58 @@ async function handleGrammarCheck(message, tabId) {
                 alternative: result.alternative,
                 summary: result.summary,
                 explanation: result.explanation,
-                elementId: elementId,
+                segments: result.segments,
+                fromCache: result.fromCache,
+                rulesOnly: result.rulesOnly === true,
+                redactions,
+                tone,
+                language,
+                promptTemplate: { id: template.id, name: template.name, version: template.version },
+                promptVersion: PROMPT_VERSION,
+                source,
+                elementId: elementId ?? null,
                 tabId: tabId,
+                frameId,
+                pageUrl: normalizePageUrl(pageUrl),
+                browserSessionId: await getBrowserSessionId(),
+                requestId,
+                requestVersion,
                 hasIssues: true,
                 noIssues: false,
             };
 
-            // Notify content script
-            try {
-                const response = await chrome.tabs.sendMessage(tabId, {
-                    action: 'showSuggestion',
-                    elementId: elementId,
-                    suggestion: result.suggestion,
-                    originalText: normalizedText,
-                    requestId,
-                    requestVersion,
-                });
+            // Notify content script; selections have no field to show the suggestion in
+            if (!isSelection) {
+                try {
+                    const response = await chrome.tabs.sendMessage(tabId, {
+                        action: 'showSuggestion',
+                        elementId: elementId,
+                        suggestion: result.suggestion,
+                        originalText: normalizedText,
+                        correctedText: result.correctedText,
+                        requestId,
+                        requestVersion,
+                    }, { frameId });
+
+                    if (!response || response.accepted !== true) {
+                        console.log('TypeRight: Content script rejected stale suggestion');
+                        return;
+                    }
 
-                if (!response || response.accepted !== true) {
-                    console.log('TypeRight: Content script rejected stale suggestion');
+                    console.log('TypeRight: Sent suggestion to content script');
+                } catch (error) {
+                    console.error('TypeRight: Failed to send to content script:', error);
                     return;
                 }
-
-                state.checkHistory.unshift(historyEntry);
-
-                // Keep only last 50 checks
-                if (state.checkHistory.length > 50) {
-                    state.checkHistory = state.checkHistory.slice(0, 50);
-                }
-
-                console.log('TypeRight: Sent suggestion to content script');
-            } catch (error) {
-                console.error('TypeRight: Failed to send to content script:', error);
-                return;
             }
 
+            // The suggestion is shown even if history cannot be saved; updateHistory logs why
+            await addHistoryEntry(historyEntry).catch(() => {});
+
             if (panelConnected) {
                 broadcastToSidePanels(tabId, {
                     action: 'displaySuggestion',
+                    ...panelRedactions,
                     data: historyEntry,
                 });
                 console.log('TypeRight: Delivered suggestion to connected side panel');
@@ -490,32 +1230,48 @@ async function handleGrammarCheck(message, tabId) {
                 alternative: result.alternative,
                 summary: result.summary,
                 explanation: result.explanation,
-                elementId: elementId,
+                segments: result.segments,
+                fromCache: result.fromCache,
+                rulesOnly: result.rulesOnly === true,
+                redactions,
+                tone,
+                language,
+                promptTemplate: { id: template.id, name: template.name, version: template.version },
+                promptVersion: PROMPT_VERSION,
+                source,
+                elementId: elementId ?? null,
                 tabId: tabId,
+                frameId,
+                pageUrl: normalizePageUrl(pageUrl),
+                browserSessionId: await getBrowserSessionId(),
+                requestId,
+                requestVersion,
                 hasIssues: false,
                 noIssues: true,
             };
 
-            if (!(await isCurrentCheck(tabId, elementId, requestId, requestVersion, normalizedText))) {
+            if (!(await isPageCurrent())) {
                 console.log('TypeRight: Discarding stale no-issues result for element:', elementId);
                 return;
             }
 
-            state.checkHistory.unshift(historyEntry);
-
-            if (state.checkHistory.length > 50) {
-                state.checkHistory = state.checkHistory.slice(0, 50);
-            }
+            await addHistoryEntry(historyEntry).catch(() => {});
 
             if (panelConnected) {
                 broadcastToSidePanels(tabId, {
                     action: 'displaySuggestion',
+                    ...panelRedactions,
                     data: historyEntry,
                 });
                 console.log('TypeRight: Delivered no-issues message to side panel');
             }
         }
     } catch (error) {
+        if (error.name === 'CancelledError') {
+            console.log('TypeRight: Grammar check cancelled for element:', elementId);
+            return;
+        }
+
         console.error('TypeRight: Grammar check failed:', error);
 
         // Show error in side panel
@@ -527,375 +1283,2389 @@ async function handleGrammarCheck(message, tabId) {
         if (state.pendingChecks.get(requestKey)?.requestId === requestId) {
             state.pendingChecks.delete(requestKey);
         }
-    }
-}
-
-function isLatestCheck(requestKey, requestId, requestVersion) {
-    const currentCheck = state.pendingChecks.get(requestKey);
-    return Boolean(currentCheck
-        && currentCheck.requestId === requestId
-        && currentCheck.requestVersion === requestVersion);
-}
 
-async function isCurrentCheck(tabId, elementId, requestId, requestVersion, originalText) {
-    try {
-        const response = await chrome.tabs.sendMessage(tabId, {
-            action: 'isCurrentCheck',
-            elementId,
-            requestId,
-            requestVersion,
-            originalText,
+        // Drop the in-progress card unless a final suggestion already replaced it
+        broadcastToSidePanels(tabId, {
+            action: 'partialSuggestion',
+            data: {
+                tabId,
+                elementId,
+                requestId,
+                discarded: true,
+            },
         });
-
-        return response?.current === true;
-    } catch (error) {
-        console.warn('TypeRight: Failed to validate current field text:', error);
-        return false;
     }
 }
 
 /**
- * Check grammar using AI service
+ * Check text from the side panel's scratchpad with the same pipeline as fields. It uses
+ * the preferences chosen for every site and never touches the active tab, so it works
+ * on pages such as chrome:// where page checking is not allowed. The panel redacts the
+ * text before sending it and keeps the values. Each newer check from the same panel
+ * cancels the last, and unchanged paragraphs reuse their earlier results.
  */
-async function checkGrammarWithAI(text, modelName) {
-    const systemPrompt = `You're a communication expert. You're tasked with helping the user with communication skills. Your goal is to take the user input and provide feedback on grammatical mistakes and summarize the meaning.`;
-
-    const userPrompt = `User Input:
-- Original: ${text}
-
-Please provide your response in the following format:
-
-AI Response:
-- Revised: [Correct user input. If no correction is necessary, then say "No correction is needed."]
-- Alternative: [Alternative suggestion with more natural and idiomatic language if necessary]
-- Summary: [Provide a concise summary of the user input]
+async function handleScratchpadCheck(port, message, requestKey) {
+    const { requestId } = message;
+    const text = (message.text || '').trim();
+    const redactions = normalizeRedactions(message.redactions);
+    const controller = new AbortController();
+
+    if (!text || !requestId) {
+        port.postMessage({ action: 'scratchpadResult', requestId, error: 'Type or paste some text to check.' });
+        return;
+    }
 
-Focus on clarity and correctness in the revised version.`;
+    state.pendingChecks.get(requestKey)?.controller.abort();
+    state.pendingChecks.set(requestKey, { requestId, requestVersion: 0, controller });
 
-    let timeoutId = null;
     try {
-        const controller = new AbortController();
-        timeoutId = setTimeout(() => controller.abort(), CONFIG.requestTimeout);
+        const rulesOnly = await loadRulesOnly();
+        const modelToUse = rulesOnly ? null : await getSelectedModel();
+        const { value: tone } = await getPreferenceInfo(null, 'tone');
+        const template = await getPromptTemplate(null);
+        const language = await resolveLanguage(text, { pageUrl: null });
+        const dictionary = await loadDictionary();
+        const { minimumSeverity } = await loadIssueFilters();
+
+        if (!rulesOnly) {
+            const provisional = checkDocumentWithRules(text, { language: language.code, dictionary, minimumSeverity });
+            port.postMessage({
+                action: 'scratchpadProgress',
+                requestId,
+                originalText: text,
+                correctedText: provisional.correctedText,
+                issues: provisional.issues,
+                provisional: true,
+            });
+        }
 
-        const response = await fetch(CONFIG.aiServiceUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: modelName,
-                messages: [
-                    {
-                        role: 'system',
-                        content: systemPrompt,
-                    },
-                    {
-                        role: 'user',
-                        content: userPrompt,
-                    },
-                ],
-                stream: false,
-                temperature: 0.3,
-            }),
+        const result = await checkDocument(text, modelToUse, requestKey, {
             signal: controller.signal,
+            bypassCache: message.bypassCache === true,
+            prompt: getTemplatePrompt(template, { tone, language: language.code }),
+            dictionary,
+            minimumSeverity,
+            rulesOnly,
+            onProgress: (partialRevision) => {
+                port.postMessage({ action: 'scratchpadProgress', requestId, originalText: text, correctedText: partialRevision });
+            },
         });
 
-        if (!response.ok) {
-            throw new Error(`AI service returned status ${response.status}`);
-        }
-
-        const data = await response.json();
-        console.log('TypeRight: Ollama raw response:', data);
-
-        if (!data.message || !data.message.content) {
-            throw new Error('Invalid response from Ollama');
+        if (!isLatestCheck(requestKey, requestId, 0)) {
+            return;
         }
 
-        const content = data.message.content;
-        console.log('TypeRight: AI response content:', content);
-
-        // Parse the AI response (it's plain text, not JSON)
-        const result = parseAIResponse(content, text);
-
-        console.log('TypeRight: Parsed result:', result);
+        const entry = {
+            timestamp: Date.now(),
+            originalText: text,
+            suggestion: result.hasIssues ? result.suggestion : 'Your text looks good! No grammar issues found.',
+            correctedText: result.correctedText || text,
+            issues: result.issues,
+            alternative: result.alternative,
+            summary: result.summary,
+            explanation: result.explanation,
+            segments: result.segments,
+            fromCache: result.fromCache,
+            rulesOnly: result.rulesOnly === true,
+            redactions,
+            tone,
+            language,
+            promptTemplate: { id: template.id, name: template.name, version: template.version },
+            promptVersion: PROMPT_VERSION,
+            source: 'scratchpad',
+            elementId: null,
+            tabId: null,
+            frameId: null,
+            pageUrl: null,
+            browserSessionId: await getBrowserSessionId(),
+            requestId,
+            requestVersion: 0,
+            hasIssues: result.hasIssues,
+            noIssues: !result.hasIssues,
+        };
 
-        return result;
+        await addHistoryEntry(entry).catch(() => {});
+        port.postMessage({ action: 'scratchpadResult', requestId, entry });
     } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new Error(`Request timeout - ${modelName} took longer than ${CONFIG.requestTimeout / 1000} seconds. Ollama may be loading the model; try again or choose a smaller model.`);
-        }
-
-        // Check if Ollama is running
-        if (error.message.includes('fetch')) {
-            throw new Error('Cannot connect to AI service. Make sure Ollama is running (ollama serve)');
+        if (error.name === 'CancelledError') {
+            console.log('TypeRight: Scratchpad check cancelled');
+            return;
         }
 
-        throw error;
+        console.error('TypeRight: Scratchpad check failed:', error);
+        port.postMessage({ action: 'scratchpadResult', requestId, error: error.message });
     } finally {
-        clearTimeout(timeoutId);
+        if (state.pendingChecks.get(requestKey)?.requestId === requestId) {
+            state.pendingChecks.delete(requestKey);
+        }
     }
 }
 
 /**
- * Parse AI response into structured format
+ * Scratchpad checks are keyed by side panel, so panels in different windows do not
+ * cancel each other
  */
-function parseAIResponse(content, originalText) {
-    const contentLower = content.toLowerCase();
+function getScratchpadRequestKey(portKey) {
+    return `scratchpad:${portKey}`;
+}
 
-    // Extract "Revised" text
-    let correctedText = originalText;
-    const revisedMatch = content.match(/(?:revised|corrected):\s*(.+?)(?:\n-|\n\n|$)/is);
-    if (revisedMatch && revisedMatch[1]) {
-        const revised = revisedMatch[1].trim();
-        if (!revised.toLowerCase().includes('no correction') && revised.length > 0) {
-            correctedText = revised;
-        }
+/**
+ * Check a document segment by segment. Segments already checked for this field
+ * with the same model and prompt options reuse their earlier result; the rest are
+ * sent in chunks that fit CONFIG.chunkTokenBudget. onProgress receives the whole
+ * document with the revision streamed so far. Changes the personal dictionary rules
+ * out are dropped last, so dictionary edits apply to reused results too.
+ * Returns one result for the whole document.
+ */
+async function checkDocument(text, modelName, requestKey, {
+    signal,
+    onProgress,
+    bypassCache = false,
+    prompt = {},
+    dictionary = normalizeDictionary(),
+    minimumSeverity = ISSUE_SEVERITIES[0],
+    rulesOnly = false,
+} = {}) {
+    if (rulesOnly) {
+        return checkDocumentWithRules(text, { language: prompt.language, dictionary, minimumSeverity });
     }
 
-    // Extract "Alternative" suggestion
-    let alternative = '';
-    const alternativeMatch = content.match(/(?:alternative):\s*(.+?)(?:\n-|\n\n|$)/is);
-    if (alternativeMatch && alternativeMatch[1]) {
-        alternative = alternativeMatch[1].trim();
-    }
+    const segments = splitIntoSegments(text);
+    const stored = state.segmentResults.get(requestKey);
+    const modelKey = `${getProviderId(getActiveProvider())}:${modelName}:${JSON.stringify(prompt)}`;
+    const knownResults = stored?.model === modelKey && !bypassCache ? stored.results : new Map();
+    const results = new Map();
+    const stats = { modelRequests: 0 };
 
-    // Extract "Issues Found"
-    const issues = [];
-    const issuesMatch = content.match(/issues?\s+found:?\s*([\s\S]*?)(?:\n\n|summary:|$)/i);
-    if (issuesMatch && issuesMatch[1]) {
-        const issueLines = issuesMatch[1].split('\n')
-            .filter(line => line.trim())
-            .map(line => line.replace(/^[\d\-\*\•\.\)]\s*/, '').trim())
-            .filter(line => line.length > 0 && !line.toLowerCase().includes('none') && line !== '-');
-        if (issueLines.length > 0) {
-            issues.push(...issueLines);
+    segments.forEach((segment) => {
+        if (knownResults.has(segment.text)) {
+            results.set(segment.text, knownResults.get(segment.text));
         }
-    }
+    });
 
-    // Extract "Summary"
-    let summary = '';
-    const summaryMatch = content.match(/summary:?\s*(.+?)(?:\n\n|$)/is);
-    if (summaryMatch && summaryMatch[1]) {
-        summary = summaryMatch[1].trim().replace(/^[\-\*\•]\s*/, '');
+    const reusedTexts = new Set(results.keys());
+    const pendingSegments = segments.filter((segment, index) => !results.has(segment.text)
+        && segments.findIndex((other) => other.text === segment.text) === index);
+    const chunks = groupIntoChunks(pendingSegments);
+
+    console.log(`TypeRight: Checking ${pendingSegments.length} of ${segments.length} segments in ${chunks.length} chunk(s)`);
+
+    for (const chunk of chunks) {
+        const chunkResults = await checkChunk(chunk, modelName, {
+            signal,
+            bypassCache,
+            stats,
+            prompt: getChunkPrompt(chunk, prompt, dictionary),
+            onProgress: onProgress && ((partialResults) => {
+                onProgress(assembleRevision(text, segments, new Map([...results, ...partialResults])));
+            }),
+        });
+
+        chunkResults.forEach((result, segmentText) => results.set(segmentText, result));
+        storeSegmentResults(requestKey, modelKey, chunkResults);
     }
 
-    // Determine if there are issues
-    const hasIssues = issues.length > 0 ||
-        (correctedText !== originalText && !contentLower.includes('no correction'));
+    // Keep only the segments of the latest complete check so the store tracks the current draft
+    state.segmentResults.set(requestKey, { model: modelKey, results });
+    await flushResultCacheSave();
 
-    const result = {
-        hasIssues: hasIssues,
-        issues: issues,
-        correctedText: correctedText,
-        alternative: alternative,
-        summary: summary,
-        explanation: content,
-        suggestion: formatSuggestion({ hasIssues, issues, correctedText, alternative, summary }),
+    return {
+        ...assembleDocumentResult(text, segments, getVisibleResults(results, dictionary, minimumSeverity), reusedTexts),
+        fromCache: stats.modelRequests === 0,
     };
+}
 
-    return result;
+/**
+ * Check a document with the rules in rules.js alone. This gives the provisional result
+ * shown while the model works, and every result in rules-only mode.
+ */
+function checkDocumentWithRules(text, { language = null, dictionary = normalizeDictionary(), minimumSeverity = ISSUE_SEVERITIES[0] } = {}) {
+    const segments = splitIntoSegments(text);
+    const results = new Map(segments.map((segment) => {
+        const { hasIssues, issues, correctedText } = checkWithRules(segment.text, { language });
+        return [segment.text, { hasIssues, issues, correctedText, alternative: '', summary: '', explanation: '' }];
+    }));
+
+    return {
+        ...assembleDocumentResult(text, segments, getVisibleResults(results, dictionary, minimumSeverity), new Set()),
+        fromCache: false,
+        rulesOnly: true,
+    };
 }
 
 /**
- * Format suggestion for display
+ * Segment results as the user sees them, after the dictionary and minimum severity
  */
-function formatSuggestion(result) {
-    if (!result.hasIssues) {
-        return 'Your text looks good! No grammar issues found.';
-    }
+function getVisibleResults(results, dictionary, minimumSeverity) {
+    return new Map(Array.from(results, ([segmentText, result]) => [
+        segmentText,
+        applySeverityThreshold(segmentText, applyDictionary(segmentText, result, dictionary), minimumSeverity),
+    ]));
+}
 
-    let suggestion = '';
+/**
+ * Protected terms are sent only with the chunks that contain them, so unrelated
+ * dictionary edits do not change the cache keys of other text
+ */
+function getChunkPrompt(chunk, prompt, dictionary) {
+    const protectedTerms = dictionary.terms.filter((term) => chunk.some((segment) => segment.text.includes(term)));
+    return protectedTerms.length > 0 ? { ...prompt, protectedTerms } : prompt;
+}
 
-    if (result.issues && result.issues.length > 0) {
-        suggestion += '**Issues Found:**\n';
-        result.issues.forEach((issue, index) => {
-            suggestion += `${index + 1}. ${issue}\n`;
-        });
+/**
+ * Undo the changes a result makes to protected terms or that match an ignored change,
+ * and drop the issues they account for. A result left without changes has no issues.
+ */
+function applyDictionary(text, result, dictionary) {
+    if (dictionary.terms.length === 0 && dictionary.ignoredChanges.length === 0) {
+        return result;
     }
 
-    if (result.alternative) {
-        suggestion += `\n**Alternative:**\n${result.alternative}\n`;
-    }
+    const protectedRanges = findProtectedRanges(text, dictionary.terms);
+    const ignoredKeys = new Set(dictionary.ignoredChanges.map((change) => getIgnoredChangeKey(change.original, change.replacement)));
+    const isSuppressed = (start, end, original, replacement) => ignoredKeys.has(getIgnoredChangeKey(original, replacement))
+        || (start != null && protectedRanges.some((range) => (start === end
+            ? range.start < start && start < range.end
+            : start < range.end && range.start < end)));
+
+    const correctedText = computeWordDiff(text, result.correctedText).map((segment) => (
+        segment.type !== 'equal' && isSuppressed(segment.originalStart, segment.originalEnd, segment.original, segment.revised)
+            ? segment.original
+            : segment.revised
+    )).join('');
+
+    const issues = result.issues.filter((issue) => typeof issue === 'string'
+        || !isSuppressed(issue.start, issue.end, issue.original || '', issue.replacement || ''));
+
+    return {
+        ...result,
+        correctedText,
+        issues,
+        hasIssues: correctedText !== text || issues.length > 0,
+    };
+}
 
-    if (result.summary) {
-        suggestion += `\n**Summary:**\n${result.summary}`;
+/**
+ * A segment whose issues are all below the minimum severity counts as having none and
+ * keeps its text as written, so style nits alone do not flag the field. Changes the
+ * model made without reporting any issue still count.
+ */
+function applySeverityThreshold(text, result, minimumSeverity) {
+    if (result.issues.length === 0 || result.issues.some((issue) => meetsMinimumSeverity(issue, minimumSeverity))) {
+        return result;
     }
 
-    return suggestion;
+    return {
+        ...result,
+        correctedText: text,
+        hasIssues: false,
+    };
 }
 
 /**
- * Handle open side panel request
+ * Where protected terms occur in the text, as whole words and with the case they were saved in
  */
-async function handleOpenSidePanel(tabId) {
-    try {
-        await chrome.sidePanel.open({ tabId: tabId });
-    } catch (error) {
-        console.error('TypeRight: Failed to open side panel:', error);
-    }
+function findProtectedRanges(text, terms) {
+    return terms.flatMap((term) => {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return Array.from(text.matchAll(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu')), (match) => ({
+            start: match.index,
+            end: match.index + match[0].length,
+        }));
+    });
 }
 
 /**
- * Handle extension icon click
+ * Check one chunk and split the reply back into per-segment results. If the model
+ * merged or split paragraphs, the chunk's segments are checked one at a time.
  */
-chrome.action.onClicked.addListener((tab) => {
-    if (tab.id == null) {
-        return;
-    }
+async function checkChunk(chunk, modelName, { signal, onProgress, bypassCache, stats, prompt }) {
+    const chunkText = chunk.map((segment) => segment.text).join(SEGMENT_SEPARATOR);
+
+    const result = await checkGrammarWithCache(chunkText, modelName, {
+        signal,
+        bypassCache,
+        stats,
+        prompt,
+        onProgress: onProgress && ((content) => {
+            const partialRevision = extractPartialRevision(content);
+            if (!partialRevision) {
+                return;
+            }
 
-    const openPanelPromise = chrome.sidePanel.open({ tabId: tab.id });
-    openPanelPromise.catch((error) => {
-        console.error('TypeRight: Failed to open side panel:', error);
+            const partialParts = chunk.length === 1 ? [partialRevision] : partialRevision.split(/\n\s*\n/);
+            onProgress(new Map(chunk.map((segment, index) => [segment.text, {
+                correctedText: partialParts[index] ?? '',
+            }])));
+        }),
     });
 
-    ensureContentScript(tab.id).catch((error) => {
-        console.debug('TypeRight: Content script will be injected after page access is granted:', error);
-    });
-});
+    const segmentResults = splitChunkResult(chunk, result);
+    if (segmentResults) {
+        return segmentResults;
+    }
 
-console.log('TypeRight: Background service worker initialized');
+    console.warn('TypeRight: Model reply did not keep the chunk\'s paragraphs apart; checking them separately');
 
-async function initializeModelSelection() {
-    try {
-        const stored = await storageGet(STORAGE_KEYS.selectedModel);
-        const storedModel = stored?.[STORAGE_KEYS.selectedModel];
-        if (typeof storedModel === 'string' && storedModel.trim()) {
-            applySelectedModel(storedModel.trim(), { persist: false, broadcast: false });
-        } else {
-            state.selectedModel = CONFIG.model;
-        }
-    } catch (error) {
-        console.warn('TypeRight: Failed to load stored model preference:', error);
-        state.selectedModel = CONFIG.model;
+    const results = new Map();
+    for (const segment of chunk) {
+        const [[segmentText, segmentResult]] = await checkChunk([segment], modelName, {
+            signal,
+            onProgress,
+            bypassCache,
+            stats,
+            prompt,
+        });
+        results.set(segmentText, segmentResult);
     }
+
+    return results;
 }
 
-async function handleModelListRequest(port, { forceRefresh }) {
-    try {
-        port.postMessage({ action: 'modelList', loading: true, selectedModel: state.selectedModel || CONFIG.model });
-        const models = await getAvailableModels({ forceRefresh });
-        const selectedModel = await ensureSelectedModelIsAvailable(models);
-        port.postMessage({
-            action: 'modelList',
-            models,
-            selectedModel,
-        });
-    } catch (error) {
-        const friendlyMessage = (error?.message || '').includes('Failed to fetch')
-            ? 'Cannot connect to Ollama. Make sure `ollama serve` is running.'
-            : error?.message || 'Failed to load Ollama models';
-        port.postMessage({
-            action: 'modelList',
-            models: [],
-            selectedModel: state.selectedModel || CONFIG.model,
-            error: friendlyMessage,
-        });
+/**
+ * Map a chunk's result onto its segments. Returns null when the revision does
+ * not have one paragraph per segment.
+ */
+function splitChunkResult(chunk, result) {
+    const toSegmentResult = (segment, fields) => ({
+        ...fields,
+        hasIssues: fields.correctedText !== segment.text || fields.issues.length > 0,
+    });
+
+    if (chunk.length === 1) {
+        return new Map([[chunk[0].text, toSegmentResult(chunk[0], {
+            correctedText: result.correctedText,
+            alternative: result.alternative,
+            issues: result.issues,
+            summary: result.summary,
+            explanation: result.explanation,
+        })]]);
     }
-}
 
-async function ensureSelectedModelIsAvailable(models) {
-    const availableModelNames = new Set(
+    const revisedParts = result.correctedText.split(/\n\s*\n/).map((part) => part.trim());
+    if (revisedParts.length !== chunk.length) {
+        return null;
+    }
+
+    const alternativeParts = result.alternative ? result.alternative.split(/\n\s*\n/).map((part) => part.trim()) : [];
+    const hasAlternatives = alternativeParts.length === chunk.length;
+
+    // Offsets of each segment inside the chunk text
+    const offsets = [];
+    chunk.reduce((position, segment) => {
+        offsets.push(position);
+        return position + segment.text.length + SEGMENT_SEPARATOR.length;
+    }, 0);
+
+    const segmentIssues = chunk.map(() => []);
+    result.issues.forEach((issue) => {
+        if (typeof issue === 'string') {
+            segmentIssues[0].push(issue);
+            return;
+        }
+
+        let index = issue.start == null
+            ? chunk.findIndex((segment) => issue.original && segment.text.includes(issue.original))
+            : offsets.findIndex((offset, i) => issue.start >= offset && issue.end <= offset + chunk[i].text.length);
+
+        if (index < 0) {
+            index = 0;
+        }
+
+        if (issue.start == null) {
+            segmentIssues[index].push(issue);
+            return;
+        }
+
+        const isInsideSegment = issue.start >= offsets[index] && issue.end <= offsets[index] + chunk[index].text.length;
+        segmentIssues[index].push(isInsideSegment
+            ? { ...issue, start: issue.start - offsets[index], end: issue.end - offsets[index] }
+            : { ...issue, start: null, end: null });
+    });
+
+    return new Map(chunk.map((segment, index) => [segment.text, toSegmentResult(segment, {
+        correctedText: revisedParts[index] || segment.text,
+        alternative: hasAlternatives ? alternativeParts[index] : '',
+        issues: segmentIssues[index],
+        // The chunk's summary and raw reply describe all of its segments; keep them once
+        summary: index === 0 ? result.summary : '',
+        explanation: index === 0 ? result.explanation : '',
+    })]));
+}
+
+function storeSegmentResults(requestKey, modelKey, segmentResults) {
+    const stored = state.segmentResults.get(requestKey);
+
+    if (stored?.model !== modelKey) {
+        state.segmentResults.set(requestKey, { model: modelKey, results: new Map(segmentResults) });
+        return;
+    }
+
+    segmentResults.forEach((result, segmentText) => stored.results.set(segmentText, result));
+}
+
+/**
+ * Split text into paragraphs, one per line. Paragraphs over the token budget are
+ * split into sentences, and sentences over the budget at word boundaries.
+ */
+function splitIntoSegments(text) {
+    const segments = [];
+
+    for (const match of text.matchAll(/[^\n]*\S[^\n]*/g)) {
+        const paragraph = match[0].trim();
+        const start = match.index + match[0].indexOf(paragraph);
+
+        if (estimateTokens(paragraph) <= CONFIG.chunkTokenBudget) {
+            segments.push({ text: paragraph, start, end: start + paragraph.length });
+            continue;
+        }
+
+        splitIntoSentences(paragraph).forEach((sentence) => {
+            splitByBudget(sentence.text).forEach((piece) => {
+                const pieceStart = start + sentence.start + piece.start;
+                segments.push({ text: piece.text, start: pieceStart, end: pieceStart + piece.text.length });
+            });
+        });
+    }
+
+    return segments;
+}
+
+function splitIntoSentences(paragraph) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
+    return Array.from(segmenter.segment(paragraph))
+        .map(({ segment, index }) => {
+            const sentence = segment.trim();
+            return { text: sentence, start: index + segment.indexOf(sentence) };
+        })
+        .filter((sentence) => sentence.text);
+}
+
+function splitByBudget(sentence) {
+    const maxLength = CONFIG.chunkTokenBudget * CHARS_PER_TOKEN;
+    const pieces = [];
+    let start = 0;
+
+    while (sentence.length - start > maxLength) {
+        const breakAt = sentence.lastIndexOf(' ', start + maxLength);
+        const end = breakAt > start ? breakAt : start + maxLength;
+        pieces.push({ text: sentence.slice(start, end).trim(), start });
+        start = end;
+        while (sentence[start] === ' ') {
+            start += 1;
+        }
+    }
+
+    pieces.push({ text: sentence.slice(start), start });
+    return pieces.filter((piece) => piece.text);
+}
+
+/**
+ * Group consecutive segments into chunks that stay under the token budget
+ */
+function groupIntoChunks(segments) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    segments.forEach((segment) => {
+        const tokens = estimateTokens(segment.text);
+
+        if (current.length > 0 && currentTokens + tokens > CONFIG.chunkTokenBudget) {
+            chunks.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+
+        current.push(segment);
+        currentTokens += tokens;
+    });
+
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Rebuild the document from per-segment revisions, keeping the original
+ * whitespace between segments. Segments without a result keep their text.
+ */
+function assembleRevision(text, segments, results) {
+    let revision = '';
+    let cursor = 0;
+
+    segments.forEach((segment) => {
+        revision += text.slice(cursor, segment.start) + (results.get(segment.text)?.correctedText ?? segment.text);
+        cursor = segment.end;
+    });
+
+    return revision;
+}
+
+function assembleDocumentResult(text, segments, results, reusedTexts) {
+    let correctedText = '';
+    let alternative = '';
+    let cursor = 0;
+    const issues = [];
+    const summaries = new Set();
+    const explanations = new Set();
+
+    const segmentSummaries = segments.map((segment) => {
+        const separator = text.slice(cursor, segment.start);
+        const result = results.get(segment.text);
+        const correctedStart = correctedText.length + separator.length;
+
+        correctedText += separator + result.correctedText;
+        alternative += separator + (result.alternative || result.correctedText);
+        cursor = segment.end;
+
+        result.issues.forEach((issue) => {
+            issues.push(typeof issue === 'string' || issue.start == null
+                ? issue
+                : { ...issue, start: issue.start + segment.start, end: issue.end + segment.start });
+        });
+
+        if (result.summary) {
+            summaries.add(result.summary);
+        }
+
+        if (result.explanation) {
+            explanations.add(result.explanation);
+        }
+
+        return {
+            start: segment.start,
+            end: segment.end,
+            correctedStart,
+            correctedEnd: correctedText.length,
+            hasIssues: result.hasIssues,
+            reused: reusedTexts.has(segment.text),
+        };
+    });
+
+    const hasAlternative = segments.some((segment) => results.get(segment.text).alternative);
+    if (!hasAlternative || alternative === correctedText || alternative === text) {
+        alternative = '';
+    }
+
+    const summary = Array.from(summaries).join(' ');
+    const hasIssues = segmentSummaries.some((segment) => segment.hasIssues);
+
+    return {
+        hasIssues,
+        issues,
+        correctedText,
+        alternative,
+        summary,
+        explanation: Array.from(explanations).join('\n\n'),
+        suggestion: formatSuggestion({ hasIssues, issues, correctedText, alternative, summary }),
+        segments: segmentSummaries,
+    };
+}
+
+function isLatestCheck(requestKey, requestId, requestVersion) {
+    const currentCheck = state.pendingChecks.get(requestKey);
+    return Boolean(currentCheck
+        && currentCheck.requestId === requestId
+        && currentCheck.requestVersion === requestVersion);
+}
+
+async function isCurrentCheck(tabId, frameId, elementId, requestId, requestVersion, originalText) {
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'isCurrentCheck',
+            elementId,
+            requestId,
+            requestVersion,
+            originalText,
+        }, { frameId });
+
+        return response?.current === true;
+    } catch (error) {
+        console.warn('TypeRight: Failed to validate current field text:', error);
+        return false;
+    }
+}
+
+/**
+ * checkGrammarWithAI behind the persistent result cache. A cache hit returns
+ * immediately; bypassCache asks the model again and refreshes the cached result.
+ */
+async function checkGrammarWithCache(text, modelName, { signal, onProgress, bypassCache = false, stats, prompt } = {}) {
+    const cacheKey = await getResultCacheKey(text, modelName, prompt);
+
+    if (!bypassCache) {
+        const cachedResult = await getCachedResult(cacheKey);
+        if (cachedResult) {
+            console.log('TypeRight: Using cached result for text length:', text.length);
+            return cachedResult;
+        }
+    }
+
+    if (stats) {
+        stats.modelRequests += 1;
+    }
+
+    const result = await checkGrammarWithRetries(text, modelName, { signal, onProgress, prompt });
+    await setCachedResult(cacheKey, result);
+    return result;
+}
+
+/**
+ * Retry after connection failures and server errors up to CONFIG.maxRetries
+ * times, waiting twice as long before each further attempt
+ */
+async function checkGrammarWithRetries(text, modelName, { signal, onProgress, prompt } = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            return await checkGrammarWithAI(text, modelName, { signal, onProgress, prompt });
+        } catch (error) {
+            if (!error.retryable || attempt >= CONFIG.maxRetries) {
+                throw error;
+            }
+
+            console.warn(`TypeRight: Check failed (${error.message}); retry ${attempt + 1} of ${CONFIG.maxRetries}`);
+            await waitForRetry(CONFIG.retryDelay * 2 ** attempt, signal);
+        }
+    }
+}
+
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const cancel = () => {
+            clearTimeout(timeoutId);
+            const cancelledError = new Error('Grammar check was superseded before it finished');
+            cancelledError.name = 'CancelledError';
+            reject(cancelledError);
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', cancel);
+            resolve();
+        }, delay);
+
+        if (signal?.aborted) {
+            cancel();
+            return;
+        }
+        signal?.addEventListener('abort', cancel, { once: true });
+    });
+}
+
+/**
+ * Hash of the text, provider, model, prompt version and prompt options, so equal
+ * texts share a result only while the model and prompt that produced it are unchanged
+ */
+async function getResultCacheKey(text, modelName, prompt = {}) {
+    const normalizedText = text.replace(/\r\n?/g, '\n').trim();
+    const providerId = getProviderId(getActiveProvider());
+    const data = new TextEncoder().encode(JSON.stringify([PROMPT_VERSION, providerId, modelName, prompt, normalizedText]));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function loadResultCache() {
+    if (!state.resultCacheLoaded) {
+        state.resultCacheLoaded = storageGet(STORAGE_KEYS.resultCache)
+            .then((stored) => {
+                const entries = stored?.[STORAGE_KEYS.resultCache];
+                if (Array.isArray(entries)) {
+                    // Entries written before this load started are newer, so they stay last
+                    state.resultCache = new Map([...entries, ...state.resultCache]);
+                    evictResultCache();
+                }
+            })
+            .catch((error) => {
+                console.warn('TypeRight: Failed to load result cache:', error);
+            });
+    }
+
+    return state.resultCacheLoaded;
+}
+
+async function getCachedResult(cacheKey) {
+    await loadResultCache();
+
+    const entry = state.resultCache.get(cacheKey);
+    if (!entry) {
+        return null;
+    }
+
+    // Move the entry to the most recently used end
+    state.resultCache.delete(cacheKey);
+    state.resultCache.set(cacheKey, entry);
+    scheduleResultCacheSave();
+
+    return entry.result;
+}
+
+async function setCachedResult(cacheKey, result) {
+    await loadResultCache();
+
+    state.resultCache.delete(cacheKey);
+    state.resultCache.set(cacheKey, { result, size: JSON.stringify(result).length });
+    evictResultCache();
+    scheduleResultCacheSave();
+}
+
+/**
+ * Drop least recently used results until the cache fits its entry and size limits
+ */
+function evictResultCache() {
+    let totalSize = 0;
+    state.resultCache.forEach((entry) => {
+        totalSize += entry.size;
+    });
+
+    for (const [cacheKey, entry] of state.resultCache) {
+        if (state.resultCache.size <= CONFIG.cacheMaxEntries && totalSize <= CONFIG.cacheMaxBytes) {
+            break;
+        }
+
+        state.resultCache.delete(cacheKey);
+        totalSize -= entry.size;
+    }
+}
+
+function scheduleResultCacheSave() {
+    clearTimeout(state.resultCacheSaveTimer);
+    state.resultCacheSaveTimer = setTimeout(saveResultCache, CONFIG.cacheSaveDelay);
+}
+
+/**
+ * Write a scheduled save now. A suspended service worker drops its timers, so checks
+ * flush before they reply rather than leave new results to the delayed save.
+ */
+async function flushResultCacheSave() {
+    if (state.resultCacheSaveTimer !== null) {
+        await saveResultCache();
+    }
+}
+
+async function saveResultCache() {
+    clearTimeout(state.resultCacheSaveTimer);
+    state.resultCacheSaveTimer = null;
+
+    try {
+        await storageSet(STORAGE_KEYS.resultCache, Array.from(state.resultCache.entries()));
+    } catch (error) {
+        console.error('TypeRight: Failed to persist result cache:', error);
+    }
+}
+
+/**
+ * The content script reports which placeholders it put in the text; the values stay in the page
+ */
+function normalizeRedactions(redactions) {
+    return (Array.isArray(redactions) ? redactions : [])
+        .filter((item) => typeof item?.placeholder === 'string' && typeof item.label === 'string')
+        .map(({ placeholder, label }) => ({ placeholder, label }));
+}
+
+/**
+ * Check grammar using AI service. The reply is streamed; onProgress receives the
+ * accumulated content after every chunk, and aborting signal cancels the request.
+ * The prompt object is described at buildPromptMessages.
+ */
+async function checkGrammarWithAI(text, modelName, { signal, onProgress, prompt = {} } = {}) {
+    const provider = getActiveProvider();
+    const messages = buildPromptMessages(text, prompt);
+
+    let timeoutId = null;
+    let timedOut = false;
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+
+    try {
+        if (signal?.aborted) {
+            cancel();
+        }
+        signal?.addEventListener('abort', cancel);
+
+        timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, CONFIG.requestTimeout);
+
+        await loadProviderSettings();
+
+        const sendChatRequest = (schema) => fetch(`${getProviderBaseUrl(provider)}${provider.chatPath}`, {
+            method: 'POST',
+            headers: getProviderHeaders(provider, {
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify(provider.buildChatBody({ model: modelName, messages, schema })),
+            signal: controller.signal,
+        });
+
+        let response = await sendChatRequest(GRAMMAR_RESPONSE_SCHEMA);
+
+        if (response.status === 400 && provider.retriesWithoutSchema) {
+            console.warn('TypeRight: Server rejected the response schema; retrying without it');
+            response = await sendChatRequest(null);
+        }
+
+        if (!response.ok) {
+            throw await describeProviderError(provider, response, modelName);
+        }
+
+        const content = await readChatStream(response, provider, onProgress);
+
+        if (!content) {
+            throw new Error(`Invalid response from ${provider.label}`);
+        }
+
+        console.log('TypeRight: AI response content:', content);
+
+        // Models that ignore the schema still get a best-effort parse of their plain text
+        const result = parseStructuredResponse(content, text) ?? parseAIResponse(content, text);
+
+        console.log('TypeRight: Parsed result:', result);
+
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError' && !timedOut) {
+            const cancelledError = new Error('Grammar check was superseded before it finished');
+            cancelledError.name = 'CancelledError';
+            throw cancelledError;
+        }
+
+        if (error.name === 'AbortError') {
+            throw new Error(`Request timeout - ${modelName} took longer than ${CONFIG.requestTimeout / 1000} seconds. ${provider.label} may be loading the model; try again or choose a smaller model.`);
+        }
+
+        throw mapConnectionError(provider, error);
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', cancel);
+    }
+}
+
+/**
+ * The chat messages for a check. prompt.template is the prompt template to render;
+ * prompt.tone picks the TONE_PRESETS register of the alternatives; prompt.language
+ * is the language code the text is written in, or null when it is not known;
+ * prompt.fieldLabel and prompt.site are only set when the template uses them;
+ * prompt.protectedTerms lists dictionary terms the model must leave alone.
+ * The language and tone instructions of templates that do not place them, the response
+ * format and the dictionary and placeholder rules follow the template, since cards,
+ * cache keys and applying results depend on them.
+ */
+function buildPromptMessages(text, prompt) {
+    const template = prompt.template || DEFAULT_PROMPT_TEMPLATE;
+    const values = getPromptTemplateValues({ ...prompt, text });
+    const languageInstruction = templateUsesVariable(template, 'language') ? '' : `
+Check the user input by the rules of ${values.language}, and write the revised text, the alternatives, the summary and every explanation in ${values.language}. Never translate it into another language.
+`;
+    const toneInstruction = templateUsesVariable(template, 'tone') ? '' : `
+Write the alternative suggestions in ${values.tone}.
+`;
+
+    const userPrompt = `${renderPromptTemplate(template.user, values)}
+${languageInstruction}${toneInstruction}
+Respond with a JSON object containing:
+- "revised": the corrected user input. If no correction is necessary, return the original text unchanged.
+- "alternatives": alternative suggestions for the user input
+- "issues": every problem found, each with "start" and "end" character offsets into the original, the "original" text, its "replacement", a "category" (one of: ${ISSUE_CATEGORIES.join(', ')}), a "severity" (one of: ${ISSUE_SEVERITIES.join(', ')}; use minor for matters of taste) and a short "explanation"
+- "summary": a concise summary of the user input
+${prompt.protectedTerms?.length ? `
+These terms are spelled as intended, including their case: ${prompt.protectedTerms.map((term) => JSON.stringify(term)).join(', ')}. Never change them and do not report issues about them.
+` : ''}
+Placeholders in square brackets, such as [EMAIL_1] or [PHONE_2], stand for redacted values. Keep every placeholder exactly as written in "revised" and "alternatives", and do not report issues inside them.`;
+
+    return [
+        {
+            role: 'system',
+            content: renderPromptTemplate(template.system, values),
+        },
+        {
+            role: 'user',
+            content: userPrompt,
+        },
+    ];
+}
+
+/**
+ * The template for a page: the one picked for its site or in the side panel. A template
+ * deleted since it was picked falls back to the built-in one.
+ */
+async function getPromptTemplate(pageUrl) {
+    const { value } = await getPreferenceInfo(pageUrl, 'template');
+    const templates = await loadPromptTemplates();
+    return templates.find((template) => template.id === value) || DEFAULT_PROMPT_TEMPLATE;
+}
+
+/**
+ * The prompt object for a template. The field label and site only become part of it,
+ * and of the cache key, when the template uses them.
+ */
+function getTemplatePrompt(template, { tone, language, fieldLabel, site }) {
+    return {
+        template: { id: template.id, version: template.version, system: template.system, user: template.user },
+        tone,
+        language,
+        ...(templateUsesVariable(template, 'fieldLabel') && fieldLabel ? { fieldLabel } : {}),
+        ...(templateUsesVariable(template, 'site') && site ? { site } : {}),
+    };
+}
+
+function getPageHost(pageUrl) {
+    try {
+        return /^https?:/i.test(pageUrl || '') ? new URL(pageUrl).hostname : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Run an unsaved template from the options page on sample text with the selected model
+ */
+async function handlePromptTemplatePreview(message) {
+    const template = normalizePromptTemplates([{ ...message.template, id: 'preview' }])[0];
+    const error = template ? validatePromptTemplate(template) : 'The template is incomplete.';
+    if (error) {
+        throw new Error(error);
+    }
+
+    await loadPreferences();
+    const text = (message.text || '').trim();
+    const language = state.preferences.language === AUTO_LANGUAGE
+        ? await detectTextLanguage(text)
+        : state.preferences.language;
+
+    return checkGrammarWithAI(text, await getSelectedModel(), {
+        prompt: getTemplatePrompt(template, {
+            tone: state.preferences.tone,
+            language,
+            fieldLabel: message.fieldLabel,
+            site: message.site,
+        }),
+    });
+}
+
+/**
+ * Read a provider's streamed chat reply and return the full message content
+ */
+async function readChatStream(response, provider, onProgress) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    const handleLine = (line) => {
+        if (!line.trim()) {
+            return false;
+        }
+
+        const chunk = provider.parseStreamLine(line.trim());
+        if (!chunk) {
+            return false;
+        }
+
+        if (chunk.content) {
+            content += chunk.content;
+            if (typeof onProgress === 'function') {
+                onProgress(content);
+            }
+        }
+
+        if (chunk.done) {
+            console.log(`TypeRight: ${provider.label} stream finished`);
+        }
+
+        return chunk.done;
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        if (lines.some(handleLine)) {
+            reader.cancel().catch(() => { });
+            return content;
+        }
+    }
+
+    handleLine(buffer + decoder.decode());
+    return content;
+}
+
+/**
+ * Turn an error response into a message that says what to fix
+ */
+async function describeProviderError(provider, response, modelName) {
+    let detail = '';
+
+    try {
+        const body = await response.text();
+        try {
+            const data = JSON.parse(body);
+            detail = data?.error?.message || (typeof data?.error === 'string' ? data.error : '') || body;
+        } catch (error) {
+            detail = body;
+        }
+    } catch (error) {
+        console.debug('TypeRight: Unable to read error response body:', error);
+    }
+
+    detail = detail.trim().slice(0, 200);
+
+    const error = createProviderError(provider, response.status, detail, modelName);
+    // Overloaded or failing servers often recover; client errors will not
+    error.retryable = response.status === 429 || response.status >= 500;
+    return error;
+}
+
+function createProviderError(provider, status, detail, modelName) {
+    switch (status) {
+        case 401:
+        case 403:
+            return new Error(`${provider.label} refused the request (status ${status}). Check the auth header under Connection, and that the server allows requests from this extension.`);
+        case 404:
+            return new Error(`${provider.label} could not find ${modelName ? `model "${modelName}"` : 'the requested endpoint'}${detail ? `: ${detail}` : ''}. Click Refresh to reload the model list.`);
+        default:
+            return new Error(`${provider.label} returned status ${status}${detail ? `: ${detail}` : ''}`);
+    }
+}
+
+/**
+ * fetch() rejects with a TypeError when the server cannot be reached at all
+ */
+function mapConnectionError(provider, error) {
+    if (error instanceof TypeError && /fetch/i.test(error.message)) {
+        const connectionError = new Error(`Cannot connect to ${provider.label} at ${getProviderBaseUrl(provider)}. ${provider.connectionHint}`);
+        connectionError.retryable = true;
+        return connectionError;
+    }
+
+    return error;
+}
+
+/**
+ * Pull the revision generated so far out of a partial reply, whether the model
+ * is writing schema JSON or the plain-text format
+ */
+function extractPartialRevision(content) {
+    const jsonMatch = content.match(/"revised"\s*:\s*"((?:[^"\\]|\\.)*)/);
+    if (jsonMatch) {
+        // Drop an escape sequence that was cut off mid-chunk
+        const escapedText = jsonMatch[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+        try {
+            return JSON.parse(`"${escapedText}"`);
+        } catch (error) {
+            return '';
+        }
+    }
+
+    const textMatch = content.match(/(?:revised|corrected):\s*(.+?)(?:\n-|\n\n|$)/is);
+    return textMatch ? textMatch[1].trim() : '';
+}
+
+/**
+ * Parse a schema-constrained JSON reply. Returns null when the reply is not
+ * valid JSON or does not match GRAMMAR_RESPONSE_SCHEMA. Issues are checked one
+ * by one, so a malformed issue is dropped without losing the revision.
+ */
+function parseStructuredResponse(content, originalText) {
+    let data;
+    try {
+        data = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+        console.warn('TypeRight: Model reply is not JSON; falling back to text parsing');
+        return null;
+    }
+
+    const { items: issueSchema, ...issuesSchema } = GRAMMAR_RESPONSE_SCHEMA.properties.issues;
+    const replySchema = {
+        ...GRAMMAR_RESPONSE_SCHEMA,
+        properties: { ...GRAMMAR_RESPONSE_SCHEMA.properties, issues: issuesSchema },
+    };
+
+    const validationErrors = validateAgainstSchema(data, replySchema);
+    if (validationErrors.length > 0) {
+        console.warn('TypeRight: Model reply does not match the response schema:', validationErrors);
+        return null;
+    }
+
+    const validIssues = data.issues.filter((issue, index) => {
+        const issueErrors = validateAgainstSchema(issue, issueSchema, `$.issues[${index}]`);
+        if (issueErrors.length > 0) {
+            console.warn('TypeRight: Dropping an issue that does not match the response schema:', issueErrors);
+        }
+        return issueErrors.length === 0;
+    });
+
+    const correctedText = data.revised.trim() || originalText;
+    const issues = validIssues.map((issue) => normalizeIssue(issue, originalText));
+    const alternatives = data.alternatives
+        .map((alternative) => alternative.trim())
+        .filter((alternative) => alternative && alternative !== originalText && alternative !== correctedText);
+    const alternative = alternatives[0] || '';
+    const summary = data.summary.trim();
+    const hasIssues = correctedText !== originalText || issues.length > 0;
+
+    return {
+        hasIssues,
+        issues,
+        correctedText,
+        alternative,
+        alternatives,
+        summary,
+        explanation: content,
+        suggestion: formatSuggestion({ hasIssues, issues, correctedText, alternative, summary }),
+    };
+}
+
+/**
+ * Models guess character offsets poorly, so re-anchor each issue on its quoted text
+ */
+function normalizeIssue(issue, originalText) {
+    let start = issue.start;
+    let end = issue.end;
+
+    if (issue.original && originalText.slice(start, end) !== issue.original) {
+        const located = originalText.indexOf(issue.original);
+        start = located;
+        end = located >= 0 ? located + issue.original.length : -1;
+    }
+
+    const hasValidRange = start >= 0 && end >= start && end <= originalText.length;
+
+    return {
+        start: hasValidRange ? start : null,
+        end: hasValidRange ? end : null,
+        original: issue.original,
+        replacement: issue.replacement,
+        category: issue.category,
+        severity: getIssueSeverity(issue),
+        explanation: issue.explanation.trim(),
+    };
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by GRAMMAR_RESPONSE_SCHEMA.
+ * Returns a list of human-readable problems; an empty list means the value is valid.
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+
+    switch (schema.type) {
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path} should be an object`);
+                return errors;
+            }
+
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) {
+                    errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+            break;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path} should be an array`);
+                return errors;
+            }
+
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+                });
+            }
+            break;
+
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                errors.push(`${path} should be an integer`);
+            }
+            break;
+
+        default:
+            if (typeof value !== schema.type) {
+                errors.push(`${path} should be a ${schema.type}`);
+            }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Parse a plain-text AI response into structured format
+ */
+function parseAIResponse(content, originalText) {
+    const contentLower = content.toLowerCase();
+
+    // Extract "Revised" text
+    let correctedText = originalText;
+    const revisedMatch = content.match(/(?:revised|corrected):\s*(.+?)(?:\n-|\n\n|$)/is);
+    if (revisedMatch && revisedMatch[1]) {
+        const revised = revisedMatch[1].trim();
+        if (!revised.toLowerCase().includes('no correction') && revised.length > 0) {
+            correctedText = revised;
+        }
+    }
+
+    // Extract "Alternative" suggestion
+    let alternative = '';
+    const alternativeMatch = content.match(/(?:alternative):\s*(.+?)(?:\n-|\n\n|$)/is);
+    if (alternativeMatch && alternativeMatch[1]) {
+        alternative = alternativeMatch[1].trim();
+    }
+
+    // Extract "Issues Found"
+    const issues = [];
+    const issuesMatch = content.match(/issues?\s+found:?\s*([\s\S]*?)(?:\n\n|summary:|$)/i);
+    if (issuesMatch && issuesMatch[1]) {
+        const issueLines = issuesMatch[1].split('\n')
+            .filter(line => line.trim())
+            .map(line => line.replace(/^[\d\-\*\•\.\)]\s*/, '').trim())
+            .filter(line => line.length > 0 && !line.toLowerCase().includes('none') && line !== '-');
+        if (issueLines.length > 0) {
+            issues.push(...issueLines);
+        }
+    }
+
+    // Extract "Summary"
+    let summary = '';
+    const summaryMatch = content.match(/summary:?\s*(.+?)(?:\n\n|$)/is);
+    if (summaryMatch && summaryMatch[1]) {
+        summary = summaryMatch[1].trim().replace(/^[\-\*\•]\s*/, '');
+    }
+
+    // Determine if there are issues
+    const hasIssues = issues.length > 0 ||
+        (correctedText !== originalText && !contentLower.includes('no correction'));
+
+    const result = {
+        hasIssues: hasIssues,
+        issues: issues,
+        correctedText: correctedText,
+        alternative: alternative,
+        summary: summary,
+        explanation: content,
+        suggestion: formatSuggestion({ hasIssues, issues, correctedText, alternative, summary }),
+    };
+
+    return result;
+}
+
+/**
+ * Format suggestion for display
+ */
+function formatSuggestion(result) {
+    if (!result.hasIssues) {
+        return 'Your text looks good! No grammar issues found.';
+    }
+
+    let suggestion = '';
+
+    if (result.issues && result.issues.length > 0) {
+        suggestion += '**Issues Found:**\n';
+        result.issues.forEach((issue, index) => {
+            const description = typeof issue === 'string'
+                ? issue
+                : `${issue.explanation || issue.category} (${issue.original || '…'} → ${issue.replacement || '…'})`;
+            suggestion += `${index + 1}. ${description}\n`;
+        });
+    }
+
+    if (result.alternative) {
+        suggestion += `\n**Alternative:**\n${result.alternative}\n`;
+    }
+
+    if (result.summary) {
+        suggestion += `\n**Summary:**\n${result.summary}`;
+    }
+
+    return suggestion;
+}
+
+/**
+ * Handle open side panel request
+ */
+async function handleOpenSidePanel(tabId) {
+    try {
+        await chrome.sidePanel.open({ tabId: tabId });
+    } catch (error) {
+        console.error('TypeRight: Failed to open side panel:', error);
+    }
+}
+
+/**
+ * Handle extension icon click
+ */
+chrome.action.onClicked.addListener((tab) => {
+    if (tab.id == null) {
+        return;
+    }
+
+    const openPanelPromise = chrome.sidePanel.open({ tabId: tab.id });
+    openPanelPromise.catch((error) => {
+        console.error('TypeRight: Failed to open side panel:', error);
+    });
+
+    ensureContentScript(tab.id).catch((error) => {
+        console.debug('TypeRight: Content script will be injected after page access is granted:', error);
+    });
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: SELECTION_MENU_ID,
+            title: 'Check with TypeRight',
+            contexts: ['selection'],
+        });
+    });
+});
+
+/**
+ * Check selected text from the context menu. Page checking does not need to be on:
+ * the text comes with the click, and the result is shown in the side panel only.
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId !== SELECTION_MENU_ID || tab?.id == null) {
+        return;
+    }
+
+    // Opening the panel only works inside the click's user gesture, so it cannot wait
+    chrome.sidePanel.open({ tabId: tab.id }).catch((error) => {
+        console.error('TypeRight: Failed to open side panel:', error);
+    });
+
+    handleSelectionCheck(info, tab).catch((error) => {
+        console.error('TypeRight: Failed to check selection:', error);
+    });
+});
+
+async function handleSelectionCheck(info, tab) {
+    const selection = (await getSelectedText(tab.id, info.frameId)) || info.selectionText || '';
+
+    // The selection never passed through the content script, so it is redacted here.
+    // The panel gets the values to show and copy the card with them.
+    const { text, redactions } = redactText(selection.trim(), compileRedactionPatterns(await loadRedactionPatterns()));
+
+    await handleGrammarCheck({
+        text,
+        redactions: redactions.map(({ placeholder, label }) => ({ placeholder, label })),
+        elementId: null,
+        requestId: `selection-${Date.now()}`,
+        requestVersion: 0,
+    }, tab.id, {
+        frameId: info.frameId ?? 0,
+        pageUrl: tab.url,
+        source: 'selection',
+        redactionValues: redactions,
+    });
+}
+
+/**
+ * The selection with its line breaks, which the menu's selectionText collapses.
+ * The menu click grants access to the page. Returns '' when the page cannot be read.
+ */
+async function getSelectedText(tabId, frameId) {
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId, frameIds: [frameId ?? 0] },
+            func: () => window.getSelection()?.toString() || '',
+        });
+        return injection?.result || '';
+    } catch (error) {
+        console.debug('TypeRight: Unable to read the selection from the page; using the menu text:', error);
+        return '';
+    }
+}
+
+/**
+ * Keyboard shortcuts, rebindable at chrome://extensions/shortcuts
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (tab?.id == null) {
+        return;
+    }
+
+    // Opening the panel only works inside the shortcut's user gesture, so it cannot wait
+    if (command === 'toggle-side-panel') {
+        toggleSidePanel(tab.id);
+        return;
+    }
+
+    // The other shortcuts report back in the panel, except page checking, which works without it
+    if (command !== 'toggle-capture' && !hasSidePanelConnection(tab.id)) {
+        openSidePanel(tab.id);
+    }
+
+    handleCommand(command, tab.id).catch((error) => {
+        console.error(`TypeRight: Failed to run shortcut ${command}:`, error);
+    });
+});
+
+function toggleSidePanel(tabId) {
+    if (hasSidePanelConnection(tabId)) {
+        broadcastToSidePanels(tabId, { action: 'closeSidePanel' });
+        return;
+    }
+
+    openSidePanel(tabId);
+}
+
+function openSidePanel(tabId) {
+    chrome.sidePanel.open({ tabId }).catch((error) => {
+        console.error('TypeRight: Failed to open side panel:', error);
+    });
+
+    ensureContentScript(tabId).catch((error) => {
+        console.debug('TypeRight: Content script will be injected after page access is granted:', error);
+    });
+}
+
+async function handleCommand(command, tabId) {
+    console.log('TypeRight: Shortcut', command, 'for tab', tabId);
+
+    if (command === 'toggle-capture') {
+        // The toggle reports back like a request from the panel itself, when one is open
+        const panelPort = { postMessage: (message) => broadcastToSidePanels(tabId, message) };
+        await handleCaptureToggleRequest(panelPort, tabId, !(await queryCaptureStatus(tabId)));
+        return;
+    }
+
+    // The listener opened the panel if it was closed; wait until it has connected
+    const panelWasOpen = hasSidePanelConnection(tabId);
+    if (!panelWasOpen && !(await waitForSidePanel(tabId))) {
+        console.warn('TypeRight: Side panel did not open for shortcut', command);
+        return;
+    }
+
+    const showError = (message) => broadcastToSidePanels(tabId, {
+        action: 'statusUpdate',
+        data: { message, type: 'error' },
+    });
+
+    switch (command) {
+        case 'check-field': {
+            const response = await sendToFocusedField(tabId, 'checkFocusedField');
+            if (!response) {
+                showError('Click into a text field, then use the shortcut again.');
+            } else if (!response.success) {
+                showError(response.error || 'The field could not be checked.');
+            }
+            break;
+        }
+
+        case 'apply-revision': {
+            const response = await sendToFocusedField(tabId, 'getFocusedField');
+            if (!response?.elementId) {
+                showError('Click into the field whose revision you want to apply.');
+                break;
+            }
+
+            // A panel that just opened shows the revision before anything is applied
+            if (!panelWasOpen) {
+                broadcastToSidePanels(tabId, {
+                    action: 'statusUpdate',
+                    data: { message: 'Review the revision, then use the shortcut again to apply it.', type: 'ready' },
+                });
+                break;
+            }
+
+            broadcastToSidePanels(tabId, { action: 'runCommand', command, elementId: response.elementId });
+            break;
+        }
+
+        case 'next-suggestion':
+            // A panel that just opened is still loading its cards
+            if (panelWasOpen) {
+                broadcastToSidePanels(tabId, { action: 'runCommand', command });
+            }
+            break;
+    }
+}
+
+/**
+ * Resolves to true once a side panel has registered for the tab, or to false
+ * after CONFIG.sidePanelConnectTimeout
+ */
+async function waitForSidePanel(tabId) {
+    const deadline = Date.now() + CONFIG.sidePanelConnectTimeout;
+
+    while (!hasSidePanelConnection(tabId)) {
+        if (Date.now() >= deadline) {
+            return false;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    return true;
+}
+
+/**
+ * Ask every frame of a tab; the one holding the focused field answers. Resolves to
+ * null when no frame has a focused field or page checking is off.
+ */
+async function sendToFocusedField(tabId, action) {
+    try {
+        return (await chrome.tabs.sendMessage(tabId, { action })) || null;
+    } catch (error) {
+        if (!isMissingContentScriptError(error)) {
+            console.debug('TypeRight: No frame answered for the focused field:', error);
+        }
+        return null;
+    }
+}
+
+console.log('TypeRight: Background service worker initialized');
+
+async function initializeModelSelection() {
+    try {
+        const stored = await storageGet(STORAGE_KEYS.selectedModel);
+        const storedModel = stored?.[STORAGE_KEYS.selectedModel];
+        if (typeof storedModel === 'string' && storedModel.trim()) {
+            applySelectedModel(storedModel.trim(), { persist: false, broadcast: false });
+        } else if (storedModel !== '') {
+            // An empty name is saved by a provider switch, which leaves the model to getSelectedModel
+            state.selectedModel = CONFIG.model;
+        }
+    } catch (error) {
+        console.warn('TypeRight: Failed to load stored model preference:', error);
+        state.selectedModel = CONFIG.model;
+    }
+}
+
+async function handleModelListRequest(port, { forceRefresh }) {
+    try {
+        port.postMessage({ action: 'modelList', loading: true, selectedModel: state.selectedModel || CONFIG.model });
+        const models = await getAvailableModels({ forceRefresh });
+        const selectedModel = await ensureSelectedModelIsAvailable(models);
+        port.postMessage({
+            action: 'modelList',
+            models,
+            selectedModel,
+        });
+    } catch (error) {
+        const friendlyMessage = mapConnectionError(getActiveProvider(), error)?.message
+            || `Failed to load ${getActiveProvider().label} models`;
+        port.postMessage({
+            action: 'modelList',
+            models: [],
+            selectedModel: state.selectedModel || CONFIG.model,
+            error: friendlyMessage,
+        });
+    }
+}
+
+/**
+ * The model to check with once the stored selection has loaded. After a provider
+ * switch this is the first model the new provider serves.
+ */
+async function getSelectedModel() {
+    await state.selectionLoaded;
+
+    if (!state.selectedModel) {
+        try {
+            await ensureSelectedModelIsAvailable(await getAvailableModels({ forceRefresh: false }));
+        } catch (error) {
+            console.warn('TypeRight: Failed to pick a model for the selected provider:', error);
+        }
+    }
+
+    return state.selectedModel || CONFIG.model;
+}
+
+async function ensureSelectedModelIsAvailable(models) {
+    const availableModelNames = new Set(
         models
             .map((model) => model?.name)
             .filter((name) => typeof name === 'string' && name.trim()),
     );
 
-    if (state.selectedModel && availableModelNames.has(state.selectedModel)) {
-        return state.selectedModel;
+    if (state.selectedModel && availableModelNames.has(state.selectedModel)) {
+        return state.selectedModel;
+    }
+
+    const fallbackModel = models.find((model) => typeof model?.name === 'string' && model.name.trim())?.name;
+    if (!fallbackModel) {
+        return state.selectedModel || CONFIG.model;
+    }
+
+    await applySelectedModel(fallbackModel, { persist: true, broadcast: true });
+    return state.selectedModel;
+}
+
+async function handleModelSelectionRequest(port, modelName) {
+    const normalized = typeof modelName === 'string' ? modelName.trim() : '';
+    if (!normalized) {
+        port.postMessage({
+            action: 'modelSelectionError',
+            error: 'Please choose a valid model name.',
+        });
+        return;
+    }
+
+    try {
+        await applySelectedModel(normalized, { persist: true, broadcast: true });
+        port.postMessage({
+            action: 'modelSelected',
+            model: state.selectedModel,
+            acknowledgement: true,
+        });
+    } catch (error) {
+        console.error('TypeRight: Failed to apply selected model:', error);
+        port.postMessage({
+            action: 'modelSelectionError',
+            error: 'Failed to save selected model. Please try again.',
+        });
+    }
+}
+
+async function applySelectedModel(modelName, { persist, broadcast }) {
+    state.selectedModel = modelName;
+    CONFIG.model = modelName;
+
+    if (persist) {
+        try {
+            await storageSet(STORAGE_KEYS.selectedModel, modelName);
+        } catch (error) {
+            console.warn('TypeRight: Failed to persist selected model:', error);
+        }
+    }
+
+    if (broadcast) {
+        broadcastToSidePanels(null, {
+            action: 'modelSelected',
+            model: state.selectedModel,
+        });
+    }
+}
+
+async function getAvailableModels({ forceRefresh }) {
+    if (!forceRefresh && state.availableModels.length > 0) {
+        return state.availableModels;
+    }
+
+    if (state.modelFetchInProgress) {
+        return state.modelFetchInProgress;
+    }
+
+    const provider = getActiveProvider();
+    const modelFetch = fetchAvailableModels(provider)
+        .then((models) => {
+            // A list fetched before the provider changed belongs to the old provider
+            if (getActiveProvider() === provider) {
+                state.availableModels = models;
+            }
+            return models;
+        })
+        .finally(() => {
+            if (state.modelFetchInProgress === modelFetch) {
+                state.modelFetchInProgress = null;
+            }
+        });
+
+    state.modelFetchInProgress = modelFetch;
+    return modelFetch;
+}
+
+async function fetchAvailableModels(provider = getActiveProvider()) {
+    await loadProviderSettings();
+
+    const response = await fetch(`${getProviderBaseUrl(provider)}${provider.modelsPath}`, {
+        headers: getProviderHeaders(provider),
+    });
+    if (!response.ok) {
+        throw await describeProviderError(provider, response, null);
+    }
+
+    return provider.parseModels(await response.json());
+}
+
+function loadPreferences() {
+    if (!state.preferencesLoaded) {
+        state.preferencesLoaded = Promise.all(Object.entries(PROMPT_PREFERENCES).map(async ([key, preference]) => {
+            const stored = await storageGet(preference.storageKey);
+            if (await isValidPreference(key, stored?.[preference.storageKey])) {
+                state.preferences[key] = stored[preference.storageKey];
+            }
+        })).catch((error) => {
+            console.warn('TypeRight: Failed to load stored prompt preferences:', error);
+        });
+    }
+
+    return state.preferencesLoaded;
+}
+
+async function isValidPreference(key, value) {
+    const options = PROMPT_PREFERENCES[key] ? await PROMPT_PREFERENCES[key].getOptions() : [];
+    return options.some((option) => option.id === value);
+}
+
+/**
+ * A preference for a page: the value of the most specific site rule that sets it,
+ * otherwise the value selected in the side panel
+ */
+async function getPreferenceInfo(url, key) {
+    await loadPreferences();
+
+    const siteRule = /^https?:/i.test(url || '')
+        ? findSiteRule((await loadSiteRules()).filter((rule) => rule[key]), url)
+        : null;
+
+    return {
+        value: siteRule?.[key] || state.preferences[key],
+        selected: state.preferences[key],
+        siteValue: siteRule?.[key] || null,
+        sitePattern: siteRule?.pattern || null,
+    };
+}
+
+async function handlePreferenceListRequest(port, tabId, key, error = '') {
+    if (!PROMPT_PREFERENCES[key]) {
+        return;
+    }
+
+    const { site } = await getSiteRuleInfo(tabId);
+
+    port.postMessage({
+        action: 'preferenceList',
+        preference: key,
+        tabId,
+        site,
+        options: await PROMPT_PREFERENCES[key].getOptions(),
+        ...(await getPreferenceInfo(await getTabUrl(tabId), key)),
+        error,
+    });
+}
+
+/**
+ * Select a preference for every site, or with forSite, as the default of the tab's
+ * origin. A null value with forSite removes the origin's default.
+ */
+async function handlePreferenceSelectionRequest(port, tabId, key, value, forSite) {
+    if (!PROMPT_PREFERENCES[key]) {
+        return;
     }
 
-    const fallbackModel = models.find((model) => typeof model?.name === 'string' && model.name.trim())?.name;
-    if (!fallbackModel) {
-        return state.selectedModel || CONFIG.model;
+    if (value != null && !(await isValidPreference(key, value))) {
+        await handlePreferenceListRequest(port, tabId, key, 'Please choose one of the listed options.');
+        return;
     }
 
-    await applySelectedModel(fallbackModel, { persist: true, broadcast: true });
-    return state.selectedModel;
+    try {
+        if (forSite) {
+            const { site } = await getSiteRuleInfo(tabId);
+            if (!site) {
+                await handlePreferenceListRequest(port, tabId, key, 'Site defaults only work on regular web pages.');
+                return;
+            }
+
+            const rules = await loadSiteRules();
+            // A site default never sets a checking mode, which would outrank wildcard rules
+            const { [key]: previousValue, ...siteRule } = rules.find((rule) => rule.pattern === site)
+                || { pattern: site };
+            const updatedRule = value ? { ...siteRule, [key]: value } : siteRule;
+            const otherRules = rules.filter((rule) => rule.pattern !== site);
+
+            // saveSiteRules drops the rule once it sets nothing
+            await saveSiteRules([...otherRules, updatedRule]);
+            console.log(`TypeRight: Site ${key} for`, site, 'changed from', previousValue || 'none', 'to', value || 'none');
+        } else if (value) {
+            await loadPreferences();
+            state.preferences[key] = value;
+            await storageSet(PROMPT_PREFERENCES[key].storageKey, value);
+        }
+    } catch (error) {
+        console.warn(`TypeRight: Failed to save ${key}:`, error);
+        await handlePreferenceListRequest(port, tabId, key, 'Unable to save your choice. Please try again.');
+        return;
+    }
+
+    await handlePreferenceListRequest(port, tabId, key);
 }
 
-async function handleModelSelectionRequest(port, modelName) {
-    const normalized = typeof modelName === 'string' ? modelName.trim() : '';
-    if (!normalized) {
+/**
+ * The language a text is checked in, with where that choice came from. A language
+ * pinned on a card wins, then the field's lang attribute, the site default and the
+ * language selected in the side panel; otherwise it is detected locally.
+ * Returns { code, source }; code is null when detection is unsure.
+ */
+async function resolveLanguage(text, { pinnedLanguage, fieldLanguage, pageUrl }) {
+    if (pinnedLanguage) {
+        return { code: pinnedLanguage, source: 'field' };
+    }
+
+    const attributeLanguage = normalizeLanguageCode(fieldLanguage);
+    if (attributeLanguage) {
+        return { code: attributeLanguage, source: 'attribute' };
+    }
+
+    const { value, siteValue } = await getPreferenceInfo(pageUrl, 'language');
+    if (value !== AUTO_LANGUAGE) {
+        return { code: value, source: siteValue ? 'site' : 'selected' };
+    }
+
+    return { code: await detectTextLanguage(text), source: 'detected' };
+}
+
+/**
+ * Chrome's built-in language detector runs locally. Returns null when it is not reliable.
+ */
+async function detectTextLanguage(text) {
+    try {
+        const { isReliable, languages } = await chrome.i18n.detectLanguage(text);
+        return isReliable ? normalizeLanguageCode(languages?.[0]?.language) : null;
+    } catch (error) {
+        console.warn('TypeRight: Language detection failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Pin a language for one field from its card, then check the field again in that language.
+ * AUTO_LANGUAGE removes the pin.
+ */
+async function handleFieldLanguageRequest(port, tabId, message) {
+    const { elementId, language } = message;
+    const code = normalizeLanguageCode(language);
+
+    if (tabId != null && elementId) {
+        await loadFieldLanguages();
+        if (language !== AUTO_LANGUAGE && code) {
+            state.fieldLanguages.set(`${tabId}:${elementId}`, code);
+        } else {
+            state.fieldLanguages.delete(`${tabId}:${elementId}`);
+        }
+        await saveFieldLanguages();
+    }
+
+    await handleRecheckRequest(port, tabId, message);
+}
+
+/**
+ * Pinned languages are kept in session storage, so they outlive a suspended service
+ * worker but not the browser session whose tab IDs they are keyed by
+ */
+function loadFieldLanguages() {
+    if (!state.fieldLanguagesLoaded) {
+        state.fieldLanguagesLoaded = chrome.storage.session.get(STORAGE_KEYS.fieldLanguages)
+            .then((stored) => {
+                const pins = stored?.[STORAGE_KEYS.fieldLanguages];
+                if (pins && typeof pins === 'object') {
+                    state.fieldLanguages = new Map(Object.entries(pins));
+                }
+            })
+            .catch((error) => {
+                console.warn('TypeRight: Failed to load pinned field languages:', error);
+            });
+    }
+
+    return state.fieldLanguagesLoaded;
+}
+
+async function saveFieldLanguages() {
+    try {
+        await chrome.storage.session.set({ [STORAGE_KEYS.fieldLanguages]: Object.fromEntries(state.fieldLanguages) });
+    } catch (error) {
+        console.warn('TypeRight: Failed to save pinned field languages:', error);
+    }
+}
+
+/**
+ * Save the dictionary edited in a side panel and show it in every open panel
+ */
+async function handleDictionaryUpdate(port, dictionary) {
+    try {
+        broadcastToSidePanels(null, { action: 'dictionary', dictionary: await saveDictionary(dictionary) });
+    } catch (error) {
+        console.error('TypeRight: Failed to save dictionary:', error);
+        port.postMessage({ action: 'dictionary', dictionary: await loadDictionary(), error: error.message });
+    }
+}
+
+/**
+ * Add a term or an ignored change from a suggestion card, then check that field again.
+ * Cached model replies are reused, since the dictionary is applied after them.
+ */
+async function handleDictionaryAddition(port, tabId, message) {
+    const dictionary = await loadDictionary();
+
+    if (message.term) {
+        dictionary.terms.push(message.term);
+    }
+    if (message.ignoredChange) {
+        dictionary.ignoredChanges.push(message.ignoredChange);
+    }
+
+    await handleDictionaryUpdate(port, dictionary);
+    await handleRecheckRequest(port, tabId, { ...message, bypassCache: false });
+}
+
+async function initializeProviderSelection() {
+    try {
+        const stored = await storageGet(STORAGE_KEYS.selectedProvider);
+        const storedProvider = stored?.[STORAGE_KEYS.selectedProvider];
+        state.selectedProvider = AI_PROVIDERS[storedProvider] ? storedProvider : CONFIG.provider;
+    } catch (error) {
+        console.warn('TypeRight: Failed to load stored provider preference:', error);
+        state.selectedProvider = CONFIG.provider;
+    }
+}
+
+function getProviderList() {
+    return Object.entries(AI_PROVIDERS).map(([id, provider]) => ({
+        id,
+        label: provider.label,
+        baseUrl: getProviderBaseUrl(provider),
+        emptyModelsHint: provider.emptyModelsHint,
+    }));
+}
+
+function handleProviderListRequest(port) {
+    port.postMessage({
+        action: 'providerList',
+        providers: getProviderList(),
+        selectedProvider: getProviderId(getActiveProvider()),
+    });
+}
+
+async function handleProviderSelectionRequest(port, providerId) {
+    if (!AI_PROVIDERS[providerId]) {
         port.postMessage({
-            action: 'modelSelectionError',
-            error: 'Please choose a valid model name.',
+            action: 'providerSelectionError',
+            error: 'Please choose a valid provider.',
         });
         return;
     }
 
+    await state.selectionLoaded;
+
+    // A model name means nothing to another provider
+    const providerChanged = getProviderId(getActiveProvider()) !== providerId;
+    state.selectedProvider = providerId;
+    state.availableModels = [];
+    state.modelFetchInProgress = null;
+    if (providerChanged) {
+        state.selectedModel = null;
+    }
+
     try {
-        await applySelectedModel(normalized, { persist: true, broadcast: true });
+        await storageSet(STORAGE_KEYS.selectedProvider, providerId);
+        if (providerChanged) {
+            await storageSet(STORAGE_KEYS.selectedModel, '');
+        }
+    } catch (error) {
+        console.warn('TypeRight: Failed to persist selected provider:', error);
+    }
+
+    broadcastToSidePanels(null, {
+        action: 'providerSelected',
+        provider: providerId,
+    });
+}
+
+/**
+ * Measure a round trip to the provider and report its version where the
+ * provider has a version endpoint, plus how many models it serves
+ */
+async function handleConnectionTestRequest(port, providerId) {
+    const provider = AI_PROVIDERS[providerId] || getActiveProvider();
+
+    try {
+        await loadProviderSettings();
+
+        // Latency is the round trip of the first, smallest request
+        const startedAt = performance.now();
+        let latencyMs = null;
+        let version = null;
+
+        if (provider.versionPath) {
+            const response = await fetch(`${getProviderBaseUrl(provider)}${provider.versionPath}`, {
+                headers: getProviderHeaders(provider),
+            });
+            latencyMs = Math.round(performance.now() - startedAt);
+
+            if (!response.ok) {
+                throw await describeProviderError(provider, response, null);
+            }
+            version = (await response.json())?.version || null;
+        }
+
+        const models = await fetchAvailableModels(provider);
+        latencyMs ??= Math.round(performance.now() - startedAt);
+
         port.postMessage({
-            action: 'modelSelected',
-            model: state.selectedModel,
-            acknowledgement: true,
+            action: 'connectionTest',
+            provider: getProviderId(provider),
+            success: true,
+            latencyMs,
+            version,
+            modelCount: models.length,
         });
     } catch (error) {
-        console.error('TypeRight: Failed to apply selected model:', error);
         port.postMessage({
-            action: 'modelSelectionError',
-            error: 'Failed to save selected model. Please try again.',
+            action: 'connectionTest',
+            provider: getProviderId(provider),
+            success: false,
+            error: mapConnectionError(provider, error).message,
         });
     }
 }
 
-async function applySelectedModel(modelName, { persist, broadcast }) {
-    state.selectedModel = modelName;
-    CONFIG.model = modelName;
+function loadProviderSettings() {
+    if (!state.providerSettingsLoaded) {
+        state.providerSettingsLoaded = storageGet(STORAGE_KEYS.providerSettings)
+            .then((stored) => {
+                const settings = stored?.[STORAGE_KEYS.providerSettings];
+                if (settings && typeof settings === 'object') {
+                    state.providerSettings = settings;
+                }
+            })
+            .catch((error) => {
+                console.warn('TypeRight: Failed to load provider settings:', error);
+            });
+    }
 
-    if (persist) {
+    return state.providerSettingsLoaded;
+}
+
+async function handleProviderSettingsRequest(port, providerId) {
+    const provider = AI_PROVIDERS[providerId] || getActiveProvider();
+    await loadProviderSettings();
+    port.postMessage(getProviderSettingsMessage(provider));
+}
+
+function getProviderSettingsMessage(provider, { saved = false, error = '' } = {}) {
+    const settings = state.providerSettings[getProviderId(provider)] || {};
+
+    return {
+        action: 'providerSettings',
+        provider: getProviderId(provider),
+        defaultBaseUrl: provider.defaultBaseUrl,
+        baseUrl: getProviderBaseUrl(provider),
+        authHeaderName: settings.authHeaderName || '',
+        authHeaderValue: settings.authHeaderValue || '',
+        saved,
+        error,
+    };
+}
+
+/**
+ * Save a provider's base URL and auth header. The side panel asks for access to
+ * the new origin first, since permission prompts need a user gesture there.
+ */
+async function handleProviderSettingsUpdate(port, providerId, settings) {
+    const provider = AI_PROVIDERS[providerId];
+    if (!provider) {
+        port.postMessage({ action: 'providerSettings', provider: providerId, error: 'Please choose a valid provider.' });
+        return;
+    }
+
+    await loadProviderSettings();
+
+    try {
+        const normalized = normalizeProviderSettings(provider, settings);
+        const origin = `${new URL(normalized.baseUrl).origin}/*`;
+
+        if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+            throw new Error(`TypeRight does not have permission to reach ${new URL(normalized.baseUrl).origin}.`);
+        }
+
+        state.providerSettings = { ...state.providerSettings, [providerId]: normalized };
+        await storageSet(STORAGE_KEYS.providerSettings, state.providerSettings);
+
+        if (getActiveProvider() === provider) {
+            state.availableModels = [];
+            state.modelFetchInProgress = null;
+        }
+
+        broadcastToSidePanels(null, getProviderSettingsMessage(provider, { saved: true }));
+    } catch (error) {
+        port.postMessage(getProviderSettingsMessage(provider, { error: error.message }));
+    }
+}
+
+function normalizeProviderSettings(provider, settings = {}) {
+    const rawBaseUrl = typeof settings.baseUrl === 'string' ? settings.baseUrl.trim() : '';
+    let baseUrl = provider.defaultBaseUrl;
+
+    if (rawBaseUrl) {
+        let url;
         try {
-            await storageSet(STORAGE_KEYS.selectedModel, modelName);
+            url = new URL(rawBaseUrl);
         } catch (error) {
-            console.warn('TypeRight: Failed to persist selected model:', error);
+            throw new Error('Enter a full URL, such as http://192.168.1.20:11434.');
+        }
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('The base URL must start with http:// or https://.');
         }
+
+        baseUrl = `${url.origin}${url.pathname}`.replace(/\/+$/, '');
     }
 
-    if (broadcast) {
-        broadcastToSidePanels(null, {
-            action: 'modelSelected',
-            model: state.selectedModel,
-        });
+    const authHeaderName = typeof settings.authHeaderName === 'string' ? settings.authHeaderName.trim() : '';
+    const authHeaderValue = typeof settings.authHeaderValue === 'string' ? settings.authHeaderValue.trim() : '';
+
+    if (authHeaderValue && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(authHeaderName)) {
+        throw new Error('Enter a valid header name, such as Authorization.');
     }
+
+    return { baseUrl, authHeaderName, authHeaderValue };
 }
 
-async function getAvailableModels({ forceRefresh }) {
-    if (!forceRefresh && state.availableModels.length > 0) {
-        return state.availableModels;
+/**
+ * Load persisted history once per service worker lifetime
+ */
+function loadHistory() {
+    if (!state.historyLoaded) {
+        state.historyLoaded = Promise.all([
+            storageGet(STORAGE_KEYS.checkHistory),
+            storageGet(STORAGE_KEYS.scratchpadHistory),
+            loadSettingsWithMigration(),
+        ])
+            .then(([storedHistory, storedScratchpadHistory, settings]) => {
+                // Not awaited: the prune it queues waits for this load
+                applySettings(settings).catch(() => {});
+
+                const entries = storedHistory?.[STORAGE_KEYS.checkHistory];
+                const scratchpadEntries = storedScratchpadHistory?.[STORAGE_KEYS.scratchpadHistory];
+                const pageEntries = Array.isArray(entries) ? entries : [];
+
+                // Scratchpad checks used to share the page history; move them to their own store
+                const legacyScratchpadEntries = pageEntries.filter((entry) => entry?.source === 'scratchpad');
+                state.checkHistory = pruneHistory(pageEntries.filter((entry) => entry?.source !== 'scratchpad'));
+                state.scratchpadHistory = pruneHistory([
+                    ...(Array.isArray(scratchpadEntries) ? scratchpadEntries : []),
+                    ...legacyScratchpadEntries,
+                ], 'scratchpadHistory');
+
+                if (legacyScratchpadEntries.length > 0) {
+                    return storageSet(STORAGE_KEYS.scratchpadHistory, state.scratchpadHistory);
+                }
+            })
+            .catch((error) => {
+                console.warn('TypeRight: Failed to load stored history:', error);
+            });
     }
 
-    if (state.modelFetchInProgress) {
-        return state.modelFetchInProgress;
+    return state.historyLoaded;
+}
+
+/**
+ * Entries of one history store: 'checkHistory' for page checks or 'scratchpadHistory'.
+ * Each store is a key of both state and STORAGE_KEYS.
+ */
+async function getHistory(store = 'checkHistory') {
+    await loadHistory();
+    await state.historyUpdate;
+    state[store] = pruneHistory(state[store], store);
+    return state[store];
+}
+
+/**
+ * History for a tab: entries checked in that tab during this browser session,
+ * plus earlier entries from the page it currently shows
+ */
+async function getTabHistory(tabId) {
+    const history = await getHistory();
+
+    if (tabId == null) {
+        return history;
     }
 
-    state.modelFetchInProgress = fetchAvailableModels()
-        .then((models) => {
-            state.availableModels = models;
-            return models;
-        })
-        .finally(() => {
-            state.modelFetchInProgress = null;
+    const browserSessionId = await getBrowserSessionId();
+    let pageUrl = null;
+
+    try {
+        pageUrl = normalizePageUrl((await chrome.tabs.get(tabId))?.url);
+    } catch (error) {
+        console.debug('TypeRight: Unable to read tab URL for history lookup:', error);
+    }
+
+    return history.filter((entry) => (
+        (entry.tabId === tabId && entry.browserSessionId === browserSessionId)
+        || (pageUrl != null && entry.pageUrl === pageUrl)
+    ));
+}
+
+/**
+ * Apply a change to history and persist it. Updates run one at a time so
+ * concurrent checks cannot overwrite each other's writes.
+ */
+function updateHistory(mutate, store = 'checkHistory') {
+    const update = state.historyUpdate.then(async () => {
+        await loadHistory();
+        state[store] = pruneHistory(mutate(state[store]), store);
+        await storageSet(STORAGE_KEYS[store], state[store]);
+    });
+
+    // The queue carries on after a failed write; the caller still sees the error
+    state.historyUpdate = update.catch((error) => {
+        console.error('TypeRight: Failed to persist history:', error);
+    });
+
+    return update;
+}
+
+function addHistoryEntry(entry) {
+    return updateHistory((history) => [entry, ...history], entry.source === 'scratchpad' ? 'scratchpadHistory' : 'checkHistory');
+}
+
+async function removeHistoryEntry(timestamp, elementId) {
+    let removed = false;
+
+    await Promise.all(HISTORY_STORES.map((store) => updateHistory((history) => {
+        const remaining = history.filter((entry) => {
+            const sameTimestamp = entry.timestamp === timestamp;
+            const sameElement = elementId ? entry.elementId === elementId : true;
+            return !(sameTimestamp && sameElement);
         });
 
-    return state.modelFetchInProgress;
+        removed = removed || remaining.length !== history.length;
+        return remaining;
+    }, store)));
+
+    return removed;
 }
 
-async function fetchAvailableModels() {
-    const response = await fetch('http://localhost:11434/api/tags');
-    if (!response.ok) {
-        throw new Error(`Ollama responded with status ${response.status}`);
+function clearHistory() {
+    console.log('TypeRight: Clearing check history');
+    return Promise.all(HISTORY_STORES.map((store) => updateHistory(() => [], store)));
+}
+
+/**
+ * Drop entries past the retention age and the store's entry limit. The scratchpad has
+ * its own limit, so pasted drafts and page checks do not push each other out.
+ */
+function pruneHistory(entries, store = 'checkHistory') {
+    const { maxAgeDays } = state.historyRetention;
+    const maxEntries = store === 'scratchpadHistory' ? CONFIG.scratchpadHistoryMaxEntries : state.historyRetention.maxEntries;
+    const oldestAllowed = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+    return entries
+        .filter((entry) => typeof entry?.timestamp === 'number' && entry.timestamp >= oldestAllowed)
+        .slice(0, maxEntries);
+}
+
+async function handleHistorySettingsRequest(port, retention) {
+    try {
+        await loadHistory();
+        // Saving also notifies watchSettings, which finds the limits already applied
+        await applySettings(await saveSettings({
+            historyMaxEntries: retention?.maxEntries,
+            historyMaxAgeDays: retention?.maxAgeDays,
+        }));
+    } catch (error) {
+        console.error('TypeRight: Failed to save history settings:', error);
+        port.postMessage({
+            action: 'historySettings',
+            retention: state.historyRetention,
+            error: 'Failed to save history settings. Please try again.',
+        });
+    }
+}
+
+/**
+ * Settings from the options page. Pushed again whenever they are saved.
+ * Resolves once history is pruned to new limits.
+ */
+function applySettings(settings) {
+    const { maxEntries, maxAgeDays } = state.historyRetention;
+
+    CONFIG.minTextLength = settings.minTextLength;
+    CONFIG.requestTimeout = settings.requestTimeout;
+    CONFIG.maxRetries = settings.maxRetries;
+    CONFIG.chunkTokenBudget = settings.chunkTokenBudget;
+    state.historyRetention = {
+        maxEntries: settings.historyMaxEntries,
+        maxAgeDays: settings.historyMaxAgeDays,
+    };
+
+    if (maxEntries !== settings.historyMaxEntries || maxAgeDays !== settings.historyMaxAgeDays) {
+        broadcastToSidePanels(null, {
+            action: 'historySettings',
+            retention: state.historyRetention,
+        });
+        return Promise.all(HISTORY_STORES.map((store) => updateHistory((history) => history, store)));
     }
 
-    const data = await response.json();
-    if (!data || !Array.isArray(data.models)) {
-        throw new Error('Unexpected response format from Ollama');
+    return Promise.resolve();
+}
+
+/**
+ * History limits used to have their own storage key; move them into the shared settings once
+ */
+async function loadSettingsWithMigration() {
+    const stored = await storageGet(STORAGE_KEYS.historyRetention);
+    const legacyRetention = stored?.[STORAGE_KEYS.historyRetention];
+
+    if (!legacyRetention) {
+        return loadSettings();
     }
 
-    return data.models.map((model) => ({
-        name: model.name,
-        size: model.size,
-        modifiedAt: model.modified_at,
-    }));
+    const settings = await saveSettings({
+        historyMaxEntries: legacyRetention.maxEntries,
+        historyMaxAgeDays: legacyRetention.maxAgeDays,
+    });
+    await chrome.storage.local.remove(STORAGE_KEYS.historyRetention);
+    return settings;
+}
+
+/**
+ * Tab IDs are only unique within one browser session, so history entries are
+ * tagged with an ID kept in session storage (it survives service worker restarts)
+ */
+async function getBrowserSessionId() {
+    if (state.browserSessionId) {
+        return state.browserSessionId;
+    }
+
+    try {
+        const stored = await chrome.storage.session.get(STORAGE_KEYS.browserSessionId);
+        state.browserSessionId = stored?.[STORAGE_KEYS.browserSessionId] || null;
+
+        if (!state.browserSessionId) {
+            state.browserSessionId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            await chrome.storage.session.set({ [STORAGE_KEYS.browserSessionId]: state.browserSessionId });
+        }
+    } catch (error) {
+        console.warn('TypeRight: Failed to read browser session ID:', error);
+        state.browserSessionId = state.browserSessionId || `${Date.now()}`;
+    }
+
+    return state.browserSessionId;
+}
+
+function normalizePageUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+        return null;
+    }
 }
 
 function storageGet(key) {
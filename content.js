@@ -3,12 +3,13 @@
  * Monitors text input in editable elements and triggers grammar checking
  */
 
-// Configuration
+// Configuration. typingDelay, minTextLength and clickCheckDelay come from the options page (settings.js).
 const CONFIG = {
-    typingDelay: 2000, // Wait 2 seconds after typing stops
-    minTextLength: 25, // Minimum text length to check
+    typingDelay: SETTINGS_FIELDS.typingDelay.default,
+    minTextLength: SETTINGS_FIELDS.minTextLength.default,
     debounceDelay: 300, // Debounce for rapid input events
-    clickCheckDelay: 250, // Delay after click before checking (ms)
+    clickCheckDelay: SETTINGS_FIELDS.clickCheckDelay.default,
+    hoverCardHideDelay: 300, // Grace period before hiding an inline hover card (ms)
 };
 
 // State managemen
@@ -23,27 +24,346 @@ const state = {
     activeElement: null,
     sidePanelOpen: false,
     captureEnabled: false,
+    appliedEdits: new Map(),
+    applySequence: 0,
+    overlays: new Map(),
+    overlayRoot: null,
+    overlayRenderFrame: null,
+    hoverCard: null,
+    hoverTarget: null,
+    hoverCardHideTimer: null,
+    redactionPatterns: [], // Compiled user patterns, redacted along with the built-in detectors
 };
 
 const elementIdentities = new WeakMap();
 let nextElementIdentity = 0;
 
+// Element IDs are prefixed per frame so IDs from different frames of a tab never collide
+const frameIdentity = Math.random().toString(36).slice(2, 8);
+const requestedFrames = new WeakSet();
+
+// Lets the background worker find frames that still need the content script
+globalThis.typeRightContentScriptLoaded = true;
+
 const SENSITIVE_FIELD_PATTERN = /\b(?:password|passwd|passcode|secret|token|api[-_ ]?key|access[-_ ]?key|private[-_ ]?key|auth(?:orization)?|credential(?:s)?|ssn|social[-_ ]?security|tax[-_ ]?id|security[-_ ]?code|verification[-_ ]?code|one[-_ ]?time|otp|pin|cvv|cvc|cc[-_ ]?(?:number|name|exp|csc|cvv)|card[-_ ]?number|credit[-_ ]?card|bank|routing[-_ ]?number|account[-_ ]?number)\b/i;
 
-// Selectors for editable elements
-const EDITABLE_SELECTORS = [
-    'input[type="text"]',
-    'input[type="email"]',
-    'input[type="search"]',
-    'input[type="url"]',
+// Native text fields
+const TEXT_FIELD_SELECTORS = [
+    'input[type="text" i]',
+    'input[type="email" i]',
+    'input[type="search" i]',
+    'input[type="url" i]',
+    'input:not([type])',
     'textarea',
-    '[contenteditable="true"]',
 ].join(', ');
 
+// Editing hosts that are not handled by a more specific editor adapter
+const CONTENT_EDITABLE_SELECTORS = [
+    '[contenteditable=""]',
+    '[contenteditable="true" i]',
+    '[contenteditable="plaintext-only" i]',
+    '[role="textbox"]',
+].join(', ');
+
+// Elements that start a new line when reading rich-text editors
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN',
+    'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL',
+]);
+
+/**
+ * Editor adapters. Each adapter finds the element TypeRight tracks for a node
+ * inside its editor (detect), reads the text with its line structure (read),
+ * replaces the text through the editor's own input handling (write) and maps
+ * text offsets back to on-screen rectangles (getRects). A read marked partial
+ * left out text the editor did not render, so it must not be written back.
+ * The first adapter whose detect() matches wins, so specific editors come first.
+ */
+const EDITOR_ADAPTERS = [
+    {
+        // Monaco renders only visible lines, so long documents are read as far as they are rendered
+        name: 'monaco',
+        detect: (node) => node.closest('.monaco-editor'),
+        read: (root) => readLineElements(root, '.view-lines .view-line', isMonacoFullyRendered),
+        write: writeMonacoText,
+        focus: (root) => root.querySelector('textarea.inputarea, .native-edit-context, textarea')?.focus(),
+    },
+    {
+        // CodeMirror 6; like Monaco it virtualizes lines far outside the viewport
+        name: 'codemirror',
+        detect: (node) => node.closest('.cm-content'),
+        read: (root) => readLineElements(root, '.cm-line', isCodeMirrorFullyRendered),
+        write: writeEditableText,
+    },
+    {
+        // ProseMirror, and Tiptap which is built on it
+        name: 'prosemirror',
+        detect: (node) => node.closest('.ProseMirror'),
+        read: readStructuredText,
+        write: writeEditableText,
+    },
+    {
+        name: 'quill',
+        detect: (node) => node.closest('.ql-editor'),
+        read: readStructuredText,
+        write: writeEditableText,
+    },
+    {
+        // Draft.js ignores DOM edits it did not make; a paste goes through its own handlers
+        name: 'draft',
+        detect: (node) => node.closest('.public-DraftEditor-content'),
+        read: readStructuredText,
+        write: writePastedText,
+    },
+    {
+        name: 'field',
+        detect: (node) => (node.matches(TEXT_FIELD_SELECTORS) ? node : null),
+        read: (element) => ({ text: element.value, segments: [] }),
+        write: writeFieldText,
+        getRects: getFieldTextRects,
+    },
+    {
+        name: 'contenteditable',
+        detect: (node) => {
+            const host = node.closest(CONTENT_EDITABLE_SELECTORS);
+            return host && host.isContentEditable ? host : null;
+        },
+        read: readStructuredText,
+        write: writeEditableText,
+    },
+];
+
+const elementAdapters = new WeakMap();
+
+function getEditorAdapter(element) {
+    let adapter = elementAdapters.get(element);
+
+    if (!adapter) {
+        adapter = EDITOR_ADAPTERS.find((candidate) => candidate.detect(element) === element)
+            || EDITOR_ADAPTERS[EDITOR_ADAPTERS.length - 1];
+        elementAdapters.set(element, adapter);
+    }
+
+    return adapter;
+}
+
+/**
+ * Read an editor's text with one line per block, and record which text node
+ * each stretch of characters came from
+ */
+function readStructuredText(root) {
+    const segments = [];
+    let text = '';
+
+    const ensureLineBreak = () => {
+        if (text && !text.endsWith('\n')) {
+            text += '\n';
+        }
+    };
+
+    const visit = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            // Editors pad spaces with non-breaking spaces; both map to one character
+            const value = node.nodeValue.replace(/\u00a0/g, ' ');
+            if (value) {
+                segments.push({ node, start: text.length, end: text.length + value.length });
+                text += value;
+            }
+            return;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE || isEditorDecoration(node)) {
+            return;
+        }
+
+        if (node.tagName === 'BR') {
+            text += '\n';
+            return;
+        }
+
+        const isBlock = BLOCK_TAGS.has(node.tagName);
+        if (isBlock) {
+            ensureLineBreak();
+        }
+
+        node.childNodes.forEach(visit);
+
+        if (isBlock) {
+            ensureLineBreak();
+        }
+    };
+
+    root.childNodes.forEach(visit);
+
+    return { text: text.replace(/\n$/, ''), segments };
+}
+
+/**
+ * Read editors that render each line as its own element, in visual order.
+ * isComplete tells whether the rendered lines are the whole document.
+ */
+function readLineElements(root, lineSelector, isComplete) {
+    const lines = Array.from(root.querySelectorAll(lineSelector))
+        .sort((a, b) => (parseFloat(a.style.top) || 0) - (parseFloat(b.style.top) || 0));
+    const segments = [];
+    let text = '';
+
+    lines.forEach((line, index) => {
+        if (index > 0) {
+            text += '\n';
+        }
+
+        const { text: lineText, segments: lineSegments } = readStructuredText(line);
+        lineSegments.forEach((segment) => {
+            segments.push({ node: segment.node, start: segment.start + text.length, end: segment.end + text.length });
+        });
+        text += lineText;
+    });
+
+    return { text, segments, partial: !isComplete(root, lines) };
+}
+
+/**
+ * Monaco places each rendered line at its offset in the document and renders only
+ * the lines in view. Everything is rendered when the first line is at the top and
+ * the last one ends before the bottom of the editor.
+ */
+function isMonacoFullyRendered(root, lines) {
+    if (lines.length === 0) {
+        return true;
+    }
+
+    const tops = lines.map((line) => parseFloat(line.style.top) || 0);
+    const lastBottom = Math.max(...lines.map((line, index) => tops[index] + line.offsetHeight));
+    const viewHeight = root.querySelector('.monaco-scrollable-element')?.clientHeight || root.clientHeight;
+
+    return Math.min(...tops) <= 0 && lastBottom < viewHeight;
+}
+
+/**
+ * CodeMirror 6 stands in for lines far outside the viewport with empty spacer blocks,
+ * and hides folded lines behind a placeholder
+ */
+function isCodeMirrorFullyRendered(root) {
+    const hasGap = Array.from(root.children).some((child) => !child.classList.contains('cm-line')
+        && (child.classList.contains('cm-gap') || (!child.textContent.trim() && child.offsetHeight > 0)));
+
+    return !hasGap && !root.querySelector('.cm-foldPlaceholder');
+}
+
+/**
+ * Widgets, placeholders and cursors that editors mark as non-editable are not part of the text
+ */
+function isEditorDecoration(element) {
+    return element.getAttribute('contenteditable') === 'false' || element.getAttribute('aria-hidden') === 'true';
+}
+
+function writeFieldText(element, text) {
+    element.focus();
+
+    const view = element.ownerDocument.defaultView;
+    const prototype = element.tagName === 'TEXTAREA'
+        ? view.HTMLTextAreaElement.prototype
+        : view.HTMLInputElement.prototype;
+    const valueSetter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+    // React tracks the last value it rendered; the native setter bypasses that tracker
+    if (valueSetter) {
+        valueSetter.call(element, text);
+    } else {
+        element.value = text;
+    }
+
+    element.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        inputType: 'insertReplacementText',
+        data: text,
+    }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function selectEditorContents(root) {
+    const selection = root.ownerDocument.getSelection();
+    const range = root.ownerDocument.createRange();
+    range.selectNodeContents(root);
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function writeEditableText(root, text) {
+    root.focus();
+    selectEditorContents(root);
+
+    // insertText fires the native beforeinput/input events that editor frameworks listen for
+    if (!root.ownerDocument.execCommand('insertText', false, text)) {
+        root.textContent = text;
+        root.dispatchEvent(new InputEvent('input', {
+            bubbles: true,
+            inputType: 'insertReplacementText',
+            data: text,
+        }));
+    }
+}
+
+function writePastedText(root, text) {
+    root.focus();
+    selectEditorContents(root);
+
+    if (!dispatchPasteEvent(root, text)) {
+        writeEditableText(root, text);
+    }
+}
+
+function writeMonacoText(root, text) {
+    const input = root.querySelector('textarea.inputarea, .native-edit-context, textarea');
+    if (!input) {
+        return;
+    }
+
+    input.focus();
+
+    // Monaco keeps its model outside the DOM, so select everything with its own shortcut and paste over it
+    const isMac = /Mac/i.test(navigator.platform);
+    input.dispatchEvent(new KeyboardEvent('keydown', {
+        key: 'a',
+        code: 'KeyA',
+        keyCode: 65,
+        ctrlKey: !isMac,
+        metaKey: isMac,
+        bubbles: true,
+        cancelable: true,
+    }));
+    dispatchPasteEvent(input, text);
+}
+
+/**
+ * Returns true when the page handled the paste itself
+ */
+function dispatchPasteEvent(target, text) {
+    const clipboardData = new DataTransfer();
+    clipboardData.setData('text/plain', text);
+
+    const pasteEvent = new ClipboardEvent('paste', {
+        clipboardData,
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+    });
+    target.dispatchEvent(pasteEvent);
+
+    return pasteEvent.defaultPrevented;
+}
+
 /**
  * Initialize the content script
  */
 function initialize() {
+    if (!isSameOriginFrame()) {
+        console.debug('TypeRight: Skipping cross-origin frame');
+        return;
+    }
+
     console.log('TypeRight: Content script initialized');
 
     // Listen for input events on the entire document
@@ -53,22 +373,48 @@ function initialize() {
     document.addEventListener('focus', handleFocus, true);
     document.addEventListener('click', handleClick, true);
 
+    // Keep inline underlines aligned with their fields
+    window.addEventListener('scroll', scheduleOverlayRender, { capture: true, passive: true });
+    window.addEventListener('resize', scheduleOverlayRender, { passive: true });
+    document.addEventListener('mousemove', handleOverlayPointerMove, { capture: true, passive: true });
+
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener(handleMessage);
+
+    loadSettings()
+        .then(applySettings)
+        .catch((error) => console.warn('TypeRight: Failed to load settings; using defaults:', error));
+    watchSettings(applySettings);
+
+    loadRedactionPatterns()
+        .then(applyRedactionPatterns)
+        .catch((error) => console.warn('TypeRight: Failed to load redaction patterns:', error));
+    watchRedactionPatterns(applyRedactionPatterns);
+}
+
+function applySettings(settings) {
+    CONFIG.typingDelay = settings.typingDelay;
+    CONFIG.minTextLength = settings.minTextLength;
+    CONFIG.clickCheckDelay = settings.clickCheckDelay;
+}
+
+function applyRedactionPatterns(patterns) {
+    state.redactionPatterns = compileRedactionPatterns(patterns);
 }
 
 /**
  * Handle input events
  */
 function handleInput(event) {
-    const element = event.target;
+    // Editors such as Monaco take input in a hidden textarea; track the editor instead
+    const element = getEditableTarget(getEventTarget(event));
 
-    // Check if element is editable
-    if (!isEditableElement(element)) {
+    if (!element) {
         return;
     }
 
     state.activeElement = element;
+    syncOverlayWithText(element);
 
     if (!state.sidePanelOpen || !state.captureEnabled || isSensitiveElement(element)) {
         return;
@@ -81,9 +427,15 @@ function handleInput(event) {
  * Handle focus events
  */
 function handleFocus(event) {
-    const element = event.target;
+    const target = getEventTarget(event);
 
-    if (isEditableElement(element)) {
+    if (target?.tagName === 'IFRAME') {
+        requestFrameScripts(target);
+        return;
+    }
+
+    const element = getEditableTarget(target);
+    if (element) {
         state.activeElement = element;
 
         if (state.sidePanelOpen && state.captureEnabled && !isSensitiveElement(element)) {
@@ -93,7 +445,7 @@ function handleFocus(event) {
 }
 
 function handleClick(event) {
-    const element = getEditableTarget(event.target);
+    const element = getEditableTargetFromEvent(event);
 
     if (!element) {
         return;
@@ -110,7 +462,7 @@ function handleClick(event) {
  * Check if element is editable
  */
 function isEditableElement(element) {
-    return Boolean(element && typeof element.matches === 'function' && element.matches(EDITABLE_SELECTORS));
+    return Boolean(element && getEditableTarget(element) === element);
 }
 
 function isSensitiveElement(element) {
@@ -142,6 +494,67 @@ function isSensitiveElement(element) {
     });
 }
 
+/**
+ * The innermost target of an event. At document level, events from open shadow
+ * roots are retargeted to their host; the composed path still starts at the real target.
+ */
+function getEventTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    return path[0] || event.target;
+}
+
+function getEditableTargetFromEvent(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+
+    for (const node of path) {
+        if (node === document || node === window) {
+            break;
+        }
+
+        const element = getEditableTarget(node);
+        if (element) {
+            return element;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Only the top frame and frames sharing its origin are checked, matching what
+ * the page-level capture toggle grants access to
+ */
+function isSameOriginFrame() {
+    if (window.top === window) {
+        return true;
+    }
+
+    try {
+        return window.top.location.origin === window.location.origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Ask the background worker to inject into frames added after capture was enabled
+ */
+function requestFrameScripts(frameElement) {
+    if (!state.sidePanelOpen || !state.captureEnabled || requestedFrames.has(frameElement)) {
+        return;
+    }
+
+    requestedFrames.add(frameElement);
+
+    try {
+        chrome.runtime.sendMessage({ action: 'ensureFrameScripts' }).catch((error) => {
+            console.debug('TypeRight: Failed to request frame scripts:', error);
+        });
+    } catch (error) {
+        console.debug('TypeRight: Failed to request frame scripts:', error);
+    }
+}
+
 function getEditableTarget(node) {
     if (!node) {
         return null;
@@ -151,12 +564,17 @@ function getEditableTarget(node) {
         node = node.parentElement;
     }
 
-    if (typeof node.matches === 'function' && node.matches(EDITABLE_SELECTORS)) {
-        return node;
+    if (typeof node.closest !== 'function') {
+        return null;
     }
 
-    if (typeof node.closest === 'function') {
-        return node.closest(EDITABLE_SELECTORS);
+    for (const adapter of EDITOR_ADAPTERS) {
+        const element = adapter.detect(node);
+
+        if (element) {
+            elementAdapters.set(element, adapter);
+            return element;
+        }
     }
 
     return null;
@@ -170,7 +588,7 @@ function getElementId(element) {
 
     if (!elementId) {
         nextElementIdentity += 1;
-        elementId = `element-${nextElementIdentity}`;
+        elementId = `element-${frameIdentity}-${nextElementIdentity}`;
         elementIdentities.set(element, elementId);
     }
 
@@ -179,19 +597,94 @@ function getElementId(element) {
 }
 
 /**
- * Get text content from element
+ * Get text content from element, with line breaks between blocks
  */
 function getTextContent(element) {
-    if (element.value !== undefined) {
-        return element.value;
+    return getEditorAdapter(element).read(element).text || '';
+}
+
+/**
+ * The lang attribute of the field or an element around it. The document's own lang
+ * is left out: it describes the page, not what people type into its fields.
+ */
+function getFieldLanguage(element) {
+    const languageHost = element.closest('[lang]');
+    return languageHost && languageHost !== element.ownerDocument.documentElement ? languageHost.lang : '';
+}
+
+/**
+ * What the page calls the field, for prompt templates that use {{fieldLabel}}
+ */
+function getFieldLabel(element) {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '')
+        .split(/\s+/)
+        .map((id) => element.getRootNode().getElementById?.(id)?.textContent || '')
+        .join(' ')
+        .trim();
+    const label = element.getAttribute('aria-label')
+        || labelledBy
+        || element.labels?.[0]?.textContent
+        || element.getAttribute('placeholder')
+        || element.getAttribute('title')
+        || '';
+
+    return label.replace(/\s+/g, ' ').trim().slice(0, 100);
+}
+
+/**
+ * Check a field again on request from the side panel, even if its text is unchanged.
+ * bypassCache asks the background to skip its result cache as well.
+ */
+function recheckElement(elementId, bypassCache = true) {
+    const element = findElementById(elementId);
+    if (!element) {
+        return { success: false, error: 'The field is no longer available on the page.' };
+    }
+
+    return checkElementNow(element, { bypassCache });
+}
+
+/**
+ * Check a field right away, without waiting for the typing delay or a text change
+ */
+function checkElementNow(element, { bypassCache = false } = {}) {
+    if (!state.sidePanelOpen || !state.captureEnabled) {
+        return { success: false, error: 'Enable page checking to check this field.' };
+    }
+
+    if (isSensitiveElement(element)) {
+        return { success: false, error: 'TypeRight does not check this field.' };
+    }
+
+    if (getTextContent(element).trim().length < CONFIG.minTextLength) {
+        return { success: false, error: 'The field is too short to check.' };
+    }
+
+    checkGrammar(element, { bypassCache, force: true });
+    return { success: true };
+}
+
+/**
+ * The editable element that has keyboard focus in this frame, or null. A frame whose
+ * focus is inside a child frame has none; the child frame answers instead.
+ */
+function getFocusedField() {
+    if (!document.hasFocus()) {
+        return null;
     }
-    return element.textContent || element.innerText || '';
+
+    let activeElement = document.activeElement;
+    while (activeElement?.shadowRoot?.activeElement) {
+        activeElement = activeElement.shadowRoot.activeElement;
+    }
+
+    return activeElement ? getEditableTarget(activeElement) : null;
 }
 
 /**
  * Check grammar for the given element
  */
-async function checkGrammar(element) {
+async function checkGrammar(element, { bypassCache = false, force = false } = {}) {
     if (!state.sidePanelOpen || !state.captureEnabled || isSensitiveElement(element)) {
         return;
     }
@@ -217,14 +710,17 @@ async function checkGrammar(element) {
 
     // Skip if text hasn't changed since last successful check
     const lastText = state.lastCheckedText.get(elementId);
-    if (lastText === text) {
+    if (lastText === text && !force) {
         return;
     }
 
-    console.log('TypeRight: Checking grammar for text:', text.substring(0, 50) + '...');
+    // Secrets and personal data never leave the page; the model and history only see placeholders
+    const { text: redactedText, redactions } = redactText(text, state.redactionPatterns);
+
+    console.log('TypeRight: Checking grammar for text:', redactedText.substring(0, 50) + '...');
 
     const requestId = createRequestId();
-    state.currentRequests.set(elementId, { requestId, requestVersion });
+    state.currentRequests.set(elementId, { requestId, requestVersion, redactions });
 
     try {
         // Check if extension context is valid
@@ -241,13 +737,17 @@ async function checkGrammar(element) {
         // Send to background script for AI processing
         const response = await chrome.runtime.sendMessage({
             action: 'checkGrammar',
-            text: text,
+            text: redactedText,
+            redactions: redactions.map(({ placeholder, label }) => ({ placeholder, label })),
+            fieldLanguage: getFieldLanguage(element),
+            fieldLabel: redactText(getFieldLabel(element), state.redactionPatterns).text,
             elementId: elementId,
             requestId,
             requestVersion,
+            bypassCache,
         });
 
-        if (response && response.success && isCurrentRequest(elementId, requestId, requestVersion, text)) {
+        if (response && response.success && isCurrentRequest(elementId, requestId, requestVersion, redactedText)) {
             state.lastCheckedText.set(elementId, text);
             console.log('TypeRight: Grammar check initiated');
         } else if (response && response.success) {
@@ -294,6 +794,7 @@ function handleMessage(message, sender, sendResponse) {
                     message.elementId,
                     message.suggestion,
                     message.originalText,
+                    message.correctedText,
                     message.requestId,
                     message.requestVersion,
                 );
@@ -320,6 +821,38 @@ function handleMessage(message, sender, sendResponse) {
                 highlightElement(message.elementId);
                 break;
 
+            case 'applySuggestion':
+                if (typeof sendResponse === 'function') {
+                    sendResponse(applySuggestionText(message));
+                }
+                return true;
+
+            case 'undoApply':
+                if (typeof sendResponse === 'function') {
+                    sendResponse(undoAppliedText(message.undoToken));
+                }
+                return true;
+
+            case 'recheckElement':
+                if (typeof sendResponse === 'function') {
+                    sendResponse(recheckElement(message.elementId, message.bypassCache !== false));
+                }
+                return true;
+
+            // Keyboard shortcuts reach every frame; only the frame with the focused field answers
+            case 'checkFocusedField':
+            case 'getFocusedField': {
+                const element = getFocusedField();
+                if (!element || typeof sendResponse !== 'function') {
+                    break;
+                }
+
+                sendResponse(message.action === 'checkFocusedField'
+                    ? checkElementNow(element)
+                    : { elementId: getElementId(element) });
+                return true;
+            }
+
             case 'sidePanelStatus':
                 updateSidePanelStatus(Boolean(message.isOpen));
                 break;
@@ -387,9 +920,9 @@ function scheduleGrammarCheck(element, { immediate } = { immediate: false }) {
 }
 
 /**
- * Show suggestion (open side panel)
+ * Show suggestion inline as underlines over the checked field
  */
-function showSuggestion(elementId, suggestion, originalText, requestId, requestVersion) {
+function showSuggestion(elementId, suggestion, originalText, correctedText, requestId, requestVersion) {
     if (!isCurrentRequest(elementId, requestId, requestVersion, originalText)) {
         console.log('TypeRight: Ignoring stale suggestion for element:', elementId);
         return false;
@@ -397,22 +930,112 @@ function showSuggestion(elementId, suggestion, originalText, requestId, requestV
 
     console.log('TypeRight: Showing suggestion for element:', elementId);
 
-    // Add visual indicator to the element
     const element = findElementById(elementId);
     if (element) {
-        element.classList.add('typeright-checked');
+        const { redactions } = state.currentRequests.get(elementId);
+        showInlineSuggestions(
+            element,
+            elementId,
+            restoreRedactions(originalText, redactions),
+            restoreRedactions(correctedText, redactions),
+        );
+    }
+
+    return true;
+}
+
+/**
+ * Replace the checked text of a field with a revision chosen in the side panel
+ */
+function applySuggestionText({ elementId, requestId, requestVersion, originalText, text }) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { success: false, error: 'There is no text to apply.' };
+    }
+
+    if (!isCurrentRequest(elementId, requestId, requestVersion, originalText)) {
+        return { success: false, error: 'The field has changed since it was checked. Check it again before applying.' };
+    }
+
+    const element = findElementById(elementId);
+    if (!canWriteTextContent(element)) {
+        return { success: false, error: PARTIAL_DOCUMENT_ERROR };
+    }
+
+    const previousText = getTextContent(element);
+    const restoredText = restoreRedactions(text, state.currentRequests.get(elementId).redactions);
+
+    // Keep the whitespace around the checked text so only the checked part changes
+    const leadingWhitespace = previousText.match(/^\s*/)[0];
+    const trailingWhitespace = previousText.slice(leadingWhitespace.length).match(/\s*$/)[0];
+    const replacementText = `${leadingWhitespace}${restoredText.trim()}${trailingWhitespace}`;
+
+    state.lastCheckedText.set(elementId, replacementText.trim());
+    writeTextContent(element, replacementText);
+
+    if (getTextContent(element) === previousText) {
+        state.lastCheckedText.delete(elementId);
+        return { success: false, error: 'This editor did not accept the change. Copy the text instead.' };
+    }
+
+    state.applySequence += 1;
+    const undoToken = `apply-${state.applySequence}`;
+    state.appliedEdits.set(undoToken, {
+        elementId,
+        previousText,
+        appliedText: getTextContent(element),
+    });
+
+    return { success: true, undoToken };
+}
+
+function undoAppliedText(undoToken) {
+    const edit = state.appliedEdits.get(undoToken);
+    if (!edit) {
+        return { success: false, error: 'There is nothing to undo for this suggestion.' };
+    }
+
+    const element = findElementById(edit.elementId);
+    if (!element) {
+        state.appliedEdits.delete(undoToken);
+        return { success: false, error: 'The field is no longer available on the page.' };
+    }
+
+    if (getTextContent(element) !== edit.appliedText) {
+        return { success: false, error: 'The field was edited after the suggestion was applied.' };
+    }
 
-        // Add temporary border color
-        element.style.outline = '2px solid #ffc107';
-        element.style.outlineOffset = '2px';
+    if (!canWriteTextContent(element)) {
+        return { success: false, error: PARTIAL_DOCUMENT_ERROR };
+    }
+
+    state.lastCheckedText.set(edit.elementId, edit.previousText.trim());
+    writeTextContent(element, edit.previousText);
+    state.appliedEdits.delete(undoToken);
+
+    return { success: true };
+}
+
+const PARTIAL_DOCUMENT_ERROR = 'Part of this document is scrolled out of view, so replacing it would lose text. Copy the text instead.';
+
+/**
+ * Editors that render only part of a long document cannot be written back whole
+ */
+function canWriteTextContent(element) {
+    return getEditorAdapter(element).read(element).partial !== true;
+}
 
-        // Remove after 3 seconds
-        setTimeout(() => {
-            element.style.outline = '';
-            element.style.outlineOffset = '';
-        }, 3000);
+/**
+ * Replace the whole text of an editable element through its editor adapter,
+ * so page frameworks see real input events. Returns false, and writes nothing,
+ * when the editor has text that was not read.
+ */
+function writeTextContent(element, text) {
+    if (!canWriteTextContent(element)) {
+        console.warn('TypeRight: Not writing to an editor whose document is only partly rendered');
+        return false;
     }
 
+    getEditorAdapter(element).write(element, text);
     return true;
 }
 
@@ -436,6 +1059,8 @@ function clearCheckState() {
     state.requestVersions.clear();
     state.currentRequests.clear();
     state.elementsById.clear();
+    state.appliedEdits.clear();
+    clearOverlays();
 }
 
 function updateCaptureStatus(isEnabled) {
@@ -462,8 +1087,10 @@ function isCurrentRequest(elementId, requestId, requestVersion, originalText) {
         return false;
     }
 
+    // The background only knows the redacted text, so compare with the values put back
     const element = findElementById(elementId);
-    return Boolean(element && getTextContent(element).trim() === (originalText || '').trim());
+    return Boolean(element
+        && getTextContent(element).trim() === restoreRedactions(originalText, currentRequest.redactions).trim());
 }
 
 /**
@@ -474,7 +1101,13 @@ function highlightElement(elementId) {
 
     if (element) {
         element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        element.focus();
+
+        const adapter = getEditorAdapter(element);
+        if (adapter.focus) {
+            adapter.focus(element);
+        } else {
+            element.focus();
+        }
     }
 }
 
@@ -499,26 +1132,614 @@ function findElementById(elementId) {
     return element && element.isConnected ? element : null;
 }
 
+// Computed styles copied onto the mirror used to measure text inside inputs and textareas
+const MIRROR_STYLE_PROPERTIES = [
+    'borderTopWidth',
+    'borderRightWidth',
+    'borderBottomWidth',
+    'borderLeftWidth',
+    'borderStyle',
+    'paddingTop',
+    'paddingRight',
+    'paddingBottom',
+    'paddingLeft',
+    'fontStyle',
+    'fontVariant',
+    'fontWeight',
+    'fontStretch',
+    'fontSize',
+    'fontFamily',
+    'lineHeight',
+    'letterSpacing',
+    'wordSpacing',
+    'textAlign',
+    'textIndent',
+    'textTransform',
+    'tabSize',
+    'direction',
+];
+
+const OVERLAY_STYLES = `
+    :host {
+        all: initial;
+    }
+
+    .typeright-underline {
+        position: absolute;
+        height: 0;
+        border-bottom: 2px solid #dc3545;
+        pointer-events: none;
+    }
+
+    .typeright-underline-insert {
+        border-bottom-style: dashed;
+        border-bottom-color: #2a9d8f;
+    }
+
+    .typeright-underline-delete {
+        border-bottom-style: dotted;
+    }
+
+    .typeright-hover-card {
+        position: absolute;
+        max-width: 320px;
+        padding: 8px 10px;
+        background: #ffffff;
+        border: 1px solid #dee2e6;
+        border-radius: 8px;
+        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.15);
+        color: #212529;
+        font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        pointer-events: auto;
+    }
+
+    .typeright-hover-title {
+        color: #6c757d;
+        font-size: 11px;
+        font-weight: 600;
+        letter-spacing: 0.5px;
+        text-transform: uppercase;
+    }
+
+    .typeright-hover-change {
+        margin: 4px 0 8px;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+    }
+
+    .typeright-hover-change del {
+        color: #dc3545;
+    }
+
+    .typeright-hover-change ins {
+        color: #2a9d8f;
+        text-decoration: none;
+        font-weight: 600;
+    }
+
+    .typeright-hover-actions {
+        display: flex;
+        gap: 6px;
+    }
+
+    .typeright-hover-actions button {
+        flex: 1;
+        padding: 4px 8px;
+        border: none;
+        border-radius: 6px;
+        font: inherit;
+        cursor: pointer;
+    }
+
+    .typeright-hover-accept {
+        background: #2a9d8f;
+        color: #ffffff;
+    }
+
+    .typeright-hover-ignore {
+        background: #f8f9fa;
+        color: #212529;
+        border: 1px solid #dee2e6 !important;
+    }
+`;
+
+/**
+ * Underline the words a revision changes, without touching the field itself
+ */
+function showInlineSuggestions(element, elementId, originalText, correctedText) {
+    removeOverlay(elementId);
+
+    const checkedText = (originalText || '').trim();
+    const revisedText = (correctedText || '').trim();
+    if (!revisedText || revisedText === checkedText) {
+        return;
+    }
+
+    // The check ran on trimmed text, so hunk offsets are relative to where it starts in the field
+    const fieldText = getTextContent(element);
+    const offset = fieldText.indexOf(checkedText);
+    if (offset < 0) {
+        return;
+    }
+
+    const hunks = computeWordDiff(checkedText, revisedText)
+        .filter((segment) => segment.type !== 'equal')
+        .map((segment) => ({
+            type: segment.type,
+            original: segment.original,
+            revised: segment.revised,
+            start: offset + segment.originalStart,
+            end: offset + segment.originalEnd,
+            rects: [],
+        }));
+
+    if (hunks.length === 0) {
+        return;
+    }
+
+    const resizeObserver = typeof ResizeObserver === 'function'
+        ? new ResizeObserver(scheduleOverlayRender)
+        : null;
+    resizeObserver?.observe(element);
+
+    state.overlays.set(elementId, {
+        element,
+        text: fieldText,
+        hunks,
+        resizeObserver,
+    });
+
+    scheduleOverlayRender();
+}
+
+/**
+ * Drop an element's underlines once its text no longer matches what they describe
+ */
+function syncOverlayWithText(element) {
+    state.overlays.forEach((overlay, elementId) => {
+        if (overlay.element === element && getTextContent(element) !== overlay.text) {
+            removeOverlay(elementId);
+        }
+    });
+}
+
+function removeOverlay(elementId) {
+    const overlay = state.overlays.get(elementId);
+    if (!overlay) {
+        return;
+    }
+
+    overlay.resizeObserver?.disconnect();
+    state.overlays.delete(elementId);
+
+    if (state.hoverTarget?.elementId === elementId) {
+        hideHoverCard();
+    }
+
+    scheduleOverlayRender();
+}
+
+function clearOverlays() {
+    Array.from(state.overlays.keys()).forEach(removeOverlay);
+    hideHoverCard();
+
+    if (state.overlayRenderFrame != null) {
+        cancelAnimationFrame(state.overlayRenderFrame);
+        state.overlayRenderFrame = null;
+    }
+
+    if (state.overlayRoot) {
+        state.overlayRoot.host.remove();
+        state.overlayRoot = null;
+    }
+}
+
 /**
- * Add CSS for visual indicators
+ * Lazily create the overlay layer. It is a fixed, zero-size host with a closed
+ * shadow root so it neither affects page layout nor inherits page styles.
  */
-function addStyles() {
+function getOverlayRoot() {
+    if (state.overlayRoot && state.overlayRoot.host.isConnected) {
+        return state.overlayRoot;
+    }
+
+    const host = document.createElement('div');
+    host.setAttribute('data-typeright-overlay', '');
+    host.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; width: 0; height: 0; '
+        + 'overflow: visible; z-index: 2147483647; pointer-events: none;';
+
+    const shadowRoot = host.attachShadow({ mode: 'closed' });
     const style = document.createElement('style');
-    style.textContent = `
-    .typeright-checked {
-      transition: outline 0.3s ease;
+    style.textContent = OVERLAY_STYLES;
+    const underlineLayer = document.createElement('div');
+    underlineLayer.className = 'typeright-underlines';
+    shadowRoot.append(style, underlineLayer);
+
+    document.documentElement.appendChild(host);
+
+    state.overlayRoot = { host, shadowRoot, underlineLayer };
+    return state.overlayRoot;
+}
+
+function scheduleOverlayRender() {
+    if (state.overlayRenderFrame != null || (state.overlays.size === 0 && !state.overlayRoot)) {
+        return;
+    }
+
+    state.overlayRenderFrame = requestAnimationFrame(renderOverlays);
+}
+
+function renderOverlays() {
+    state.overlayRenderFrame = null;
+
+    if (state.overlays.size === 0) {
+        if (state.overlayRoot) {
+            state.overlayRoot.underlineLayer.replaceChildren();
+        }
+        return;
+    }
+
+    const { underlineLayer } = getOverlayRoot();
+    const underlines = [];
+
+    state.overlays.forEach((overlay, elementId) => {
+        if (!overlay.element.isConnected) {
+            removeOverlay(elementId);
+            return;
+        }
+
+        const contentBox = getContentBox(overlay.element);
+
+        overlay.hunks.forEach((hunk) => {
+            const [start, end] = getHunkAnchor(overlay.text, hunk);
+
+            hunk.rects = getTextRangeRects(overlay.element, start, end)
+                .map((rect) => clipRect(rect, contentBox))
+                .filter(Boolean);
+
+            hunk.rects.forEach((rect) => {
+                const underline = document.createElement('div');
+                underline.className = `typeright-underline typeright-underline-${hunk.type}`;
+                underline.style.left = `${rect.left}px`;
+                underline.style.top = `${rect.bottom - 2}px`;
+                underline.style.width = `${rect.right - rect.left}px`;
+                underlines.push(underline);
+            });
+        });
+    });
+
+    underlineLayer.replaceChildren(...underlines);
+    positionHoverCard();
+}
+
+/**
+ * Insertions have no original text to underline, so anchor them to the preceding word
+ */
+function getHunkAnchor(text, hunk) {
+    if (hunk.end > hunk.start) {
+        return [hunk.start, hunk.end];
+    }
+
+    const precedingWord = text.slice(0, hunk.start).match(/\S+\s*$/);
+    if (precedingWord) {
+        return [hunk.start - precedingWord[0].length, hunk.start];
+    }
+
+    const followingWord = text.slice(hunk.start).match(/^\s*\S+/);
+    return [hunk.start, hunk.start + (followingWord ? followingWord[0].length : 0)];
+}
+
+function getTextRangeRects(element, start, end) {
+    if (end <= start) {
+        return [];
+    }
+
+    const adapter = getEditorAdapter(element);
+    if (adapter.getRects) {
+        return adapter.getRects(element, start, end);
+    }
+
+    const range = createTextRange(adapter.read(element).segments, start, end);
+    return range
+        ? Array.from(range.getClientRects()).filter((rect) => rect.width > 0 && rect.height > 0)
+        : [];
+}
+
+/**
+ * Map character offsets in an editor's text to a DOM range. Offsets that fall on
+ * a line break between blocks snap to the nearest text.
+ */
+function createTextRange(segments, start, end) {
+    const startSegment = segments.find((segment) => segment.end > start);
+    const endSegment = segments.slice().reverse().find((segment) => segment.start < end);
+
+    if (!startSegment || !endSegment) {
+        return null;
+    }
+
+    const range = startSegment.node.ownerDocument.createRange();
+    range.setStart(startSegment.node, Math.max(start - startSegment.start, 0));
+    range.setEnd(endSegment.node, Math.min(end - endSegment.start, endSegment.end - endSegment.start));
+    return range;
+}
+
+/**
+ * Measure text inside an input or textarea by laying it out in a hidden mirror
+ * positioned over the field
+ */
+function getFieldTextRects(element, start, end) {
+    const { shadowRoot } = getOverlayRoot();
+    const computedStyle = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    const isTextarea = element.tagName === 'TEXTAREA';
+    const borderLeft = parseFloat(computedStyle.borderLeftWidth) || 0;
+    const borderRight = parseFloat(computedStyle.borderRightWidth) || 0;
+
+    const mirror = document.createElement('div');
+    MIRROR_STYLE_PROPERTIES.forEach((property) => {
+        mirror.style[property] = computedStyle[property];
+    });
+
+    Object.assign(mirror.style, {
+        position: 'absolute',
+        visibility: 'hidden',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        boxSizing: 'border-box',
+        width: `${element.clientWidth + borderLeft + borderRight}px`,
+        whiteSpace: isTextarea ? 'pre-wrap' : 'pre',
+        overflowWrap: isTextarea ? 'break-word' : 'normal',
+        borderColor: 'transparent',
+    });
+
+    if (!isTextarea) {
+        // Inputs centre their single line vertically
+        const paddingTop = parseFloat(computedStyle.paddingTop) || 0;
+        const paddingBottom = parseFloat(computedStyle.paddingBottom) || 0;
+        mirror.style.height = `${rect.height}px`;
+        mirror.style.lineHeight = `${Math.max(element.clientHeight - paddingTop - paddingBottom, 0)}px`;
+    }
+
+    const text = getTextContent(element);
+    const marker = document.createElement('span');
+    marker.textContent = text.slice(start, end);
+    mirror.append(text.slice(0, start), marker, text.slice(end));
+    shadowRoot.appendChild(mirror);
+
+    const rects = Array.from(marker.getClientRects())
+        .filter((markerRect) => markerRect.width > 0)
+        .map((markerRect) => ({
+            left: markerRect.left - element.scrollLeft,
+            right: markerRect.right - element.scrollLeft,
+            top: markerRect.top - element.scrollTop,
+            bottom: markerRect.bottom - element.scrollTop,
+        }));
+
+    mirror.remove();
+    return rects;
+}
+
+function getContentBox(element) {
+    const rect = element.getBoundingClientRect();
+    const computedStyle = window.getComputedStyle(element);
+    const left = rect.left + (parseFloat(computedStyle.borderLeftWidth) || 0);
+    const top = rect.top + (parseFloat(computedStyle.borderTopWidth) || 0);
+
+    return {
+        left,
+        top,
+        right: left + element.clientWidth,
+        bottom: top + element.clientHeight,
+    };
+}
+
+function clipRect(rect, bounds) {
+    const left = Math.max(rect.left, bounds.left);
+    const right = Math.min(rect.right, bounds.right);
+
+    // Underlines sit on the bottom edge, so only that edge has to be visible
+    if (right <= left || rect.bottom < bounds.top || rect.bottom > bounds.bottom + 2) {
+        return null;
+    }
+
+    return {
+        left,
+        right,
+        top: Math.max(rect.top, bounds.top),
+        bottom: rect.bottom,
+    };
+}
+
+/**
+ * Hit-test underlined words on pointer movement. Underlines themselves ignore
+ * pointer events so clicks still reach the field underneath.
+ */
+function handleOverlayPointerMove(event) {
+    if (state.overlays.size === 0) {
+        return;
+    }
+
+    const { clientX: x, clientY: y } = event;
+
+    if (state.hoverCard && isPointInRect(state.hoverCard.getBoundingClientRect(), x, y)) {
+        clearTimeout(state.hoverCardHideTimer);
+        return;
+    }
+
+    for (const [elementId, overlay] of state.overlays) {
+        const hunkIndex = overlay.hunks.findIndex((hunk) => hunk.rects.some((rect) => isPointInRect(rect, x, y)));
+
+        if (hunkIndex >= 0) {
+            showHoverCard(elementId, hunkIndex);
+            return;
+        }
+    }
+
+    if (state.hoverCard) {
+        clearTimeout(state.hoverCardHideTimer);
+        state.hoverCardHideTimer = setTimeout(hideHoverCard, CONFIG.hoverCardHideDelay);
+    }
+}
+
+function isPointInRect(rect, x, y) {
+    return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom + 2;
+}
+
+function showHoverCard(elementId, hunkIndex) {
+    clearTimeout(state.hoverCardHideTimer);
+
+    if (state.hoverTarget?.elementId === elementId && state.hoverTarget.hunkIndex === hunkIndex) {
+        return;
+    }
+
+    hideHoverCard();
+
+    const hunk = state.overlays.get(elementId)?.hunks[hunkIndex];
+    if (!hunk) {
+        return;
+    }
+
+    const card = document.createElement('div');
+    card.className = 'typeright-hover-card';
+
+    const title = document.createElement('div');
+    title.className = 'typeright-hover-title';
+    title.textContent = 'TypeRight suggestion';
+
+    const change = document.createElement('div');
+    change.className = 'typeright-hover-change';
+    if (hunk.original.trim()) {
+        const removed = document.createElement('del');
+        removed.textContent = hunk.original;
+        change.appendChild(removed);
+    }
+    if (hunk.original.trim() && hunk.revised.trim()) {
+        change.append(' → ');
+    }
+    if (hunk.revised.trim()) {
+        const added = document.createElement('ins');
+        added.textContent = hunk.revised;
+        change.appendChild(added);
+    } else if (!hunk.original.trim()) {
+        change.textContent = 'Adjust spacing';
+    } else {
+        change.append(' (remove)');
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'typeright-hover-actions';
+
+    const acceptButton = document.createElement('button');
+    acceptButton.type = 'button';
+    acceptButton.className = 'typeright-hover-accept';
+    acceptButton.textContent = 'Accept';
+    acceptButton.addEventListener('click', () => acceptOverlayHunk(elementId, hunkIndex));
+
+    const ignoreButton = document.createElement('button');
+    ignoreButton.type = 'button';
+    ignoreButton.className = 'typeright-hover-ignore';
+    ignoreButton.textContent = 'Ignore';
+    ignoreButton.addEventListener('click', () => ignoreOverlayHunk(elementId, hunkIndex));
+
+    actions.append(acceptButton, ignoreButton);
+    card.append(title, change, actions);
+    getOverlayRoot().shadowRoot.appendChild(card);
+
+    state.hoverCard = card;
+    state.hoverTarget = { elementId, hunkIndex };
+    positionHoverCard();
+}
+
+function positionHoverCard() {
+    if (!state.hoverCard || !state.hoverTarget) {
+        return;
+    }
+
+    const { elementId, hunkIndex } = state.hoverTarget;
+    const anchorRect = state.overlays.get(elementId)?.hunks[hunkIndex]?.rects[0];
+
+    if (!anchorRect) {
+        hideHoverCard();
+        return;
+    }
+
+    const maxLeft = Math.max(window.innerWidth - state.hoverCard.offsetWidth - 8, 8);
+    state.hoverCard.style.left = `${Math.min(anchorRect.left, maxLeft)}px`;
+    state.hoverCard.style.top = `${anchorRect.bottom + 4}px`;
+}
+
+function hideHoverCard() {
+    clearTimeout(state.hoverCardHideTimer);
+    state.hoverCardHideTimer = null;
+    state.hoverCard?.remove();
+    state.hoverCard = null;
+    state.hoverTarget = null;
+}
+
+function acceptOverlayHunk(elementId, hunkIndex) {
+    const overlay = state.overlays.get(elementId);
+    const element = findElementById(elementId);
+    const hunk = overlay?.hunks[hunkIndex];
+
+    if (!overlay || !element || !hunk) {
+        removeOverlay(elementId);
+        return;
+    }
+
+    if (getTextContent(element) !== overlay.text) {
+        removeOverlay(elementId);
+        return;
+    }
+
+    // Say why in the card instead of writing back a document that was only partly read
+    if (!canWriteTextContent(element)) {
+        state.hoverCard?.querySelector('.typeright-hover-change')?.replaceChildren(PARTIAL_DOCUMENT_ERROR);
+        state.hoverCard?.querySelector('.typeright-hover-accept')?.setAttribute('disabled', '');
+        return;
+    }
+
+    const nextText = overlay.text.slice(0, hunk.start) + hunk.revised + overlay.text.slice(hunk.end);
+    const delta = hunk.revised.length - (hunk.end - hunk.start);
+
+    overlay.hunks.splice(hunkIndex, 1);
+    overlay.hunks.forEach((otherHunk) => {
+        if (otherHunk.start >= hunk.end) {
+            otherHunk.start += delta;
+            otherHunk.end += delta;
+        }
+    });
+    overlay.text = nextText;
+
+    hideHoverCard();
+    state.lastCheckedText.set(elementId, nextText.trim());
+    writeTextContent(element, nextText);
+
+    if (overlay.hunks.length === 0 || getTextContent(element) !== nextText) {
+        removeOverlay(elementId);
+    } else {
+        scheduleOverlayRender();
+    }
+}
+
+function ignoreOverlayHunk(elementId, hunkIndex) {
+    const overlay = state.overlays.get(elementId);
+    if (!overlay) {
+        return;
+    }
+
+    overlay.hunks.splice(hunkIndex, 1);
+    hideHoverCard();
+
+    if (overlay.hunks.length === 0) {
+        removeOverlay(elementId);
+    } else {
+        scheduleOverlayRender();
     }
-  `;
-    document.head.appendChild(style);
 }
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        initialize();
-        addStyles();
-    });
+    document.addEventListener('DOMContentLoaded', initialize);
 } else {
     initialize();
-    addStyles();
 }
@@ -0,0 +1,151 @@
+/**
+ * TypeRight Text Diff
+ * Word-level diff shared by the content script and the side panel
+ */
+
+// Token pairs compared by the LCS table before falling back to a single replacement
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Split text into word, whitespace and punctuation tokens
+ */
+function tokenizeForDiff(text) {
+    return (text || '').match(/\s+|[\p{L}\p{N}\p{M}'’_-]+|[^\s\p{L}\p{N}\p{M}]/gu) || [];
+}
+
+/**
+ * Compute a word-level diff between two texts.
+ * Returns segments in document order. Equal segments carry unchanged text; change
+ * segments are typed insert, delete or replace. Every segment records its character
+ * offsets in both texts.
+ */
+function computeWordDiff(originalText, revisedText) {
+    const original = tokenizeForDiff(originalText);
+    const revised = tokenizeForDiff(revisedText);
+
+    let prefixLength = 0;
+    while (prefixLength < original.length
+        && prefixLength < revised.length
+        && original[prefixLength] === revised[prefixLength]) {
+        prefixLength += 1;
+    }
+
+    let suffixLength = 0;
+    while (suffixLength < original.length - prefixLength
+        && suffixLength < revised.length - prefixLength
+        && original[original.length - 1 - suffixLength] === revised[revised.length - 1 - suffixLength]) {
+        suffixLength += 1;
+    }
+
+    const operations = [];
+    original.slice(0, prefixLength).forEach((token) => operations.push({ type: 'equal', token }));
+    operations.push(...diffTokenRuns(
+        original.slice(prefixLength, original.length - suffixLength),
+        revised.slice(prefixLength, revised.length - suffixLength),
+    ));
+    original.slice(original.length - suffixLength).forEach((token) => operations.push({ type: 'equal', token }));
+
+    return buildDiffSegments(operations);
+}
+
+function diffTokenRuns(original, revised) {
+    const operations = [];
+    const rows = original.length;
+    const columns = revised.length;
+
+    if (rows * columns > DIFF_MAX_CELLS) {
+        original.forEach((token) => operations.push({ type: 'delete', token }));
+        revised.forEach((token) => operations.push({ type: 'insert', token }));
+        return operations;
+    }
+
+    // lengths[i][j] holds the LCS length of original[i..] and revised[j..]
+    const width = columns + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+
+    for (let i = rows - 1; i >= 0; i -= 1) {
+        for (let j = columns - 1; j >= 0; j -= 1) {
+            lengths[i * width + j] = original[i] === revised[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < columns) {
+        if (original[i] === revised[j]) {
+            operations.push({ type: 'equal', token: original[i] });
+            i += 1;
+            j += 1;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            operations.push({ type: 'delete', token: original[i] });
+            i += 1;
+        } else {
+            operations.push({ type: 'insert', token: revised[j] });
+            j += 1;
+        }
+    }
+
+    while (i < rows) {
+        operations.push({ type: 'delete', token: original[i] });
+        i += 1;
+    }
+
+    while (j < columns) {
+        operations.push({ type: 'insert', token: revised[j] });
+        j += 1;
+    }
+
+    return operations;
+}
+
+function buildDiffSegments(operations) {
+    const segments = [];
+    let originalPosition = 0;
+    let revisedPosition = 0;
+    let current = null;
+
+    operations.forEach(({ type, token }) => {
+        const isEqual = type === 'equal';
+
+        if (!current || (current.type === 'equal') !== isEqual) {
+            current = {
+                type: isEqual ? 'equal' : null,
+                original: '',
+                revised: '',
+                originalStart: originalPosition,
+                originalEnd: originalPosition,
+                revisedStart: revisedPosition,
+                revisedEnd: revisedPosition,
+            };
+            segments.push(current);
+        }
+
+        if (type !== 'insert') {
+            current.original += token;
+            originalPosition += token.length;
+            current.originalEnd = originalPosition;
+        }
+
+        if (type !== 'delete') {
+            current.revised += token;
+            revisedPosition += token.length;
+            current.revisedEnd = revisedPosition;
+        }
+    });
+
+    segments.forEach((segment) => {
+        if (segment.type === 'equal') {
+            return;
+        }
+
+        if (segment.original && segment.revised) {
+            segment.type = 'replace';
+        } else {
+            segment.type = segment.original ? 'delete' : 'insert';
+        }
+    });
+
+    return segments;
+}
@@ -0,0 +1,186 @@
+/**
+ * TypeRight Text Metrics
+ * Readability and style figures computed locally in the side panel, so they can be
+ * compared across the original and revised text without depending on the model.
+ * Syllables, passive voice and adverbs are estimated with English rules.
+ */
+
+// Forms of "to be" that start a passive construction
+const PASSIVE_AUXILIARIES = ['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being'];
+
+// Past participles that do not end in -ed
+const IRREGULAR_PARTICIPLES = new Set([
+    'begun', 'bitten', 'blown', 'born', 'bought', 'bound', 'broken', 'brought', 'built', 'caught',
+    'chosen', 'cut', 'dealt', 'done', 'drawn', 'driven', 'eaten', 'fallen', 'fed', 'felt',
+    'forgiven', 'forgotten', 'fought', 'found', 'frozen', 'given', 'grown', 'heard', 'held', 'hidden',
+    'hit', 'hung', 'hurt', 'kept', 'known', 'laid', 'led', 'left', 'lent', 'lost',
+    'made', 'meant', 'met', 'paid', 'put', 'read', 'ridden', 'run', 'said', 'seen',
+    'sent', 'set', 'shaken', 'shot', 'shown', 'shut', 'sold', 'spent', 'split', 'spoken',
+    'spread', 'stolen', 'struck', 'stuck', 'sung', 'swept', 'sworn', 'taken', 'taught', 'thought',
+    'thrown', 'told', 'torn', 'understood', 'woken', 'won', 'worn', 'written',
+]);
+
+// Adverbs that do not end in -ly, mostly intensifiers and hedges
+const COMMON_ADVERBS = new Set([
+    'almost', 'already', 'also', 'always', 'basically', 'quite', 'rather', 'really', 'so', 'somewhat',
+    'soon', 'still', 'too', 'very', 'just', 'even', 'maybe', 'perhaps', 'often', 'never', 'seldom',
+]);
+
+// Words ending in -ly that are usually not adverbs
+const LY_NON_ADVERBS = new Set([
+    'ally', 'apply', 'assembly', 'belly', 'bully', 'butterfly', 'comply', 'costly', 'curly', 'daily',
+    'deadly', 'early', 'elderly', 'family', 'fly', 'friendly', 'holy', 'hourly', 'imply', 'italy',
+    'jelly', 'july', 'likely', 'lily', 'lively', 'lonely', 'lovely', 'monthly', 'multiply', 'only',
+    'orderly', 'rally', 'rely', 'reply', 'silly', 'supply', 'timely', 'ugly', 'unlikely', 'weekly',
+    'yearly',
+]);
+
+// Function words left out of the repeated-word count
+const METRIC_STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+    'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have',
+    'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more',
+    'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'she', 'so', 'some', 'than', 'that', 'the',
+    'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were',
+    'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your',
+]);
+
+// Abbreviations whose full stop does not end a sentence
+const SENTENCE_ABBREVIATIONS = /\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|etc|e\.g|i\.e|approx)\.\s*$/i;
+
+// A content word used at least this often counts as repeated
+const REPEATED_WORD_MIN_COUNT = 3;
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}\p{M}'’-]*/gu;
+
+/**
+ * Figures for one text. Scores are null when the text has no words.
+ */
+function computeTextMetrics(text) {
+    const sentences = splitMetricSentences(text || '');
+    const words = sentences.flat();
+    const wordCount = words.length;
+    const sentenceCount = sentences.length;
+
+    if (wordCount === 0) {
+        return {
+            wordCount: 0,
+            sentenceCount: 0,
+            readingEase: null,
+            gradeLevel: null,
+            averageSentenceLength: null,
+            maxSentenceLength: null,
+            passiveCount: 0,
+            adverbCount: 0,
+            adverbDensity: null,
+            repeatedWords: [],
+        };
+    }
+
+    const syllableCount = words.reduce((total, word) => total + countSyllables(word), 0);
+    const wordsPerSentence = wordCount / sentenceCount;
+    const syllablesPerWord = syllableCount / wordCount;
+    const adverbCount = words.filter(isLikelyAdverb).length;
+
+    return {
+        wordCount,
+        sentenceCount,
+        readingEase: Math.min(100, Math.max(0, 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord)),
+        gradeLevel: Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+        averageSentenceLength: wordsPerSentence,
+        maxSentenceLength: Math.max(...sentences.map((sentence) => sentence.length)),
+        passiveCount: sentences.reduce((total, sentence) => total + countPassiveConstructions(sentence), 0),
+        adverbCount,
+        adverbDensity: (adverbCount / wordCount) * 100,
+        repeatedWords: findRepeatedWords(words),
+    };
+}
+
+/**
+ * Sentences as lists of words. Line breaks end a sentence too, so list items and
+ * headings without a full stop are counted separately.
+ */
+function splitMetricSentences(text) {
+    const segmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+    return text
+        .split(/\n+/)
+        .flatMap((line) => Array.from(segmenter.segment(line), ({ segment }) => segment)
+            .reduce((sentences, segment) => {
+                const previous = sentences[sentences.length - 1];
+                if (previous !== undefined && SENTENCE_ABBREVIATIONS.test(previous)) {
+                    sentences[sentences.length - 1] = previous + segment;
+                } else {
+                    sentences.push(segment);
+                }
+                return sentences;
+            }, []))
+        .map((sentence) => sentence.match(WORD_PATTERN) || [])
+        .filter((words) => words.length > 0);
+}
+
+/**
+ * Estimate syllables from vowel groups, ignoring a silent final e
+ */
+function countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length <= 3) {
+        return 1;
+    }
+
+    // "walked" and "makes" lose a syllable, "wanted" and "boxes" do not
+    const groups = letters
+        .replace(/(?<=[^aeiouy])(?<![td])ed$/, '')
+        .replace(/(?<=[^aeiouy])(?<![cgsxz]|[cs]h)es$/, '')
+        .replace(/(?<=[^laeiouy])e$/, '')
+        .replace(/^y/, '')
+        .match(/[aeiouy]{1,2}/g);
+
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * A form of "to be" followed by a past participle, optionally with an adverb between
+ * them, as in "was quickly written"
+ */
+function countPassiveConstructions(words) {
+    const lowerWords = words.map((word) => word.toLowerCase());
+    let count = 0;
+
+    lowerWords.forEach((word, index) => {
+        if (!PASSIVE_AUXILIARIES.includes(word)) {
+            return;
+        }
+
+        const next = lowerWords[index + 1];
+        const participle = next && isLikelyAdverb(next) ? lowerWords[index + 2] : next;
+        if (participle && (/[a-z]{2,}ed$/.test(participle) || IRREGULAR_PARTICIPLES.has(participle))) {
+            count += 1;
+        }
+    });
+
+    return count;
+}
+
+function isLikelyAdverb(word) {
+    const lower = word.toLowerCase();
+    return COMMON_ADVERBS.has(lower) || (/[a-z]{2,}ly$/.test(lower) && !LY_NON_ADVERBS.has(lower));
+}
+
+/**
+ * Content words used at least REPEATED_WORD_MIN_COUNT times, most frequent first
+ */
+function findRepeatedWords(words) {
+    const counts = new Map();
+
+    words.forEach((word) => {
+        const lower = word.toLowerCase().replace(/['’]s$/, '');
+        if (lower.length > 2 && !METRIC_STOPWORDS.has(lower) && !/^\d+$/.test(lower)) {
+            counts.set(lower, (counts.get(lower) || 0) + 1);
+        }
+    });
+
+    return Array.from(counts, ([word, count]) => ({ word, count }))
+        .filter(({ count }) => count >= REPEATED_WORD_MIN_COUNT)
+        .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+}
@@ -0,0 +1,472 @@
+/**
+ * TypeRight Options Page
+ * Edits the settings shared by every script; changes apply immediately
+ */
+
+let formEl = null;
+let statusEl = null;
+let siteRulesFormEl = null;
+let siteRulesListEl = null;
+let siteRulesStatusEl = null;
+let redactionPatternsEl = null;
+let redactionStatusEl = null;
+let templatesStatusEl = null;
+let promptTemplates = [DEFAULT_PROMPT_TEMPLATE]; // Built-in template first, then the custom ones being edited
+let selectedTemplateId = DEFAULT_PROMPT_TEMPLATE.id;
+
+// Stand-ins for the page details a real check would fill in
+const TEMPLATE_PREVIEW_CONTEXT = { fieldLabel: 'Message', site: 'mail.example.com' };
+
+function initialize() {
+    formEl = document.getElementById('settings-form');
+    statusEl = document.getElementById('settings-status');
+
+    getSettingInputs().forEach((input) => {
+        const field = SETTINGS_FIELDS[input.name];
+        const scale = Number(input.dataset.scale);
+
+        // Inputs show some values in larger units than they are stored in
+        input.min = String(field.min / scale);
+        input.max = String(field.max / scale);
+        input.addEventListener('input', () => validateInput(input));
+    });
+
+    formEl.addEventListener('submit', handleSave);
+    document.getElementById('reset-settings').addEventListener('click', handleReset);
+
+    loadSettings()
+        .then(renderSettings)
+        .catch((error) => updateStatus(`Unable to load settings: ${error.message}`, true));
+
+    // Keep the form in sync with changes saved from the side panel or another options tab
+    watchSettings(renderSettings);
+
+    initializeTemplates();
+    initializeSiteRules();
+    initializeRedaction();
+}
+
+function initializeSiteRules() {
+    siteRulesFormEl = document.getElementById('site-rules-form');
+    siteRulesListEl = document.getElementById('site-rules-list');
+    siteRulesStatusEl = document.getElementById('site-rules-status');
+
+    const template = document.getElementById('site-rule-template').content;
+    const toneSelect = template.querySelector('select[name="tone"]');
+    const languageSelect = template.querySelector('select[name="language"]');
+    Object.entries(TONE_PRESETS).forEach(([tone, preset]) => toneSelect.add(new Option(preset.label, tone)));
+    languageSelect.add(new Option('Detect language', AUTO_LANGUAGE));
+    PINNABLE_LANGUAGES.forEach((code) => languageSelect.add(new Option(getLanguageName(code), code)));
+
+    siteRulesFormEl.addEventListener('submit', handleSiteRulesSave);
+    document.getElementById('add-site-rule').addEventListener('click', () => {
+        addSiteRuleRow({ pattern: '', mode: 'always' }).querySelector('input').focus();
+    });
+
+    loadSiteRules()
+        .then(renderSiteRules)
+        .catch((error) => updateSiteRulesStatus(`Unable to load site rules: ${error.message}`, true));
+
+    // Rules remembered from the side panel show up here without a reload
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SITE_RULES_STORAGE_KEY]) {
+            renderSiteRules(normalizeSiteRules(changes[SITE_RULES_STORAGE_KEY].newValue));
+        }
+    });
+}
+
+function getSettingInputs() {
+    return Array.from(formEl.querySelectorAll('input[data-scale]'));
+}
+
+function renderSettings(settings) {
+    getSettingInputs().forEach((input) => {
+        input.value = String(settings[input.name] / Number(input.dataset.scale));
+        validateInput(input);
+    });
+}
+
+function readSettings() {
+    return Object.fromEntries(getSettingInputs().map((input) => [
+        input.name,
+        input.value.trim() === '' ? NaN : Number(input.value) * Number(input.dataset.scale),
+    ]));
+}
+
+function validateInput(input) {
+    const errorEl = input.closest('.setting').querySelector('.setting-error');
+    const isValid = !findInvalidSettings({ ...getDefaultSettings(), ...readSettings() }).includes(input.name);
+
+    errorEl.hidden = isValid;
+    errorEl.textContent = isValid ? '' : `Enter a value from ${input.min} to ${input.max}.`;
+    input.setCustomValidity(isValid ? '' : errorEl.textContent);
+
+    return isValid;
+}
+
+async function handleSave(event) {
+    event.preventDefault();
+
+    const invalidInputs = getSettingInputs().filter((input) => !validateInput(input));
+    if (invalidInputs.length > 0) {
+        invalidInputs[0].focus();
+        updateStatus('Fix the highlighted values before saving.', true);
+        return;
+    }
+
+    try {
+        renderSettings(await saveSettings(readSettings()));
+        updateStatus('Settings saved.');
+    } catch (error) {
+        updateStatus(`Unable to save settings: ${error.message}`, true);
+    }
+}
+
+async function handleReset() {
+    try {
+        renderSettings(await saveSettings(getDefaultSettings()));
+        updateStatus('Defaults restored.');
+    } catch (error) {
+        updateStatus(`Unable to reset settings: ${error.message}`, true);
+    }
+}
+
+function initializeRedaction() {
+    redactionPatternsEl = document.getElementById('redaction-patterns');
+    redactionStatusEl = document.getElementById('redaction-status');
+
+    document.getElementById('redaction-form').addEventListener('submit', handleRedactionSave);
+    redactionPatternsEl.addEventListener('input', () => redactionPatternsEl.setCustomValidity(''));
+
+    loadRedactionPatterns()
+        .then(renderRedactionPatterns)
+        .catch((error) => updateRedactionStatus(`Unable to load redaction patterns: ${error.message}`, true));
+    watchRedactionPatterns(renderRedactionPatterns);
+}
+
+function renderRedactionPatterns(patterns) {
+    redactionPatternsEl.value = patterns.join('\n');
+}
+
+async function handleRedactionSave(event) {
+    event.preventDefault();
+
+    const patterns = normalizeRedactionPatterns(redactionPatternsEl.value.split('\n'));
+    const invalidIndexes = findInvalidRedactionPatterns(patterns);
+
+    if (invalidIndexes.length > 0) {
+        const message = `Not a valid regular expression: ${patterns[invalidIndexes[0]]}`;
+        redactionPatternsEl.setCustomValidity(message);
+        redactionPatternsEl.focus();
+        updateRedactionStatus(message, true);
+        return;
+    }
+
+    try {
+        renderRedactionPatterns(await saveRedactionPatterns(patterns));
+        updateRedactionStatus('Redaction patterns saved.');
+    } catch (error) {
+        updateRedactionStatus(`Unable to save redaction patterns: ${error.message}`, true);
+    }
+}
+
+function updateRedactionStatus(message, isError = false) {
+    redactionStatusEl.textContent = message || '';
+    redactionStatusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+function renderSiteRules(rules) {
+    siteRulesListEl.replaceChildren();
+    rules.forEach(addSiteRuleRow);
+}
+
+function addSiteRuleRow(rule) {
+    const row = document.getElementById('site-rule-template').content.firstElementChild.cloneNode(true);
+    const patternInput = row.querySelector('input[name="pattern"]');
+
+    patternInput.value = rule.pattern;
+    row.querySelector('select[name="mode"]').value = rule.mode || '';
+    row.querySelector('select[name="tone"]').value = rule.tone || '';
+    row.querySelector('select[name="language"]').value = rule.language || '';
+    fillTemplateSelect(row.querySelector('select[name="template"]'), rule.template || '');
+    patternInput.addEventListener('input', () => patternInput.setCustomValidity(''));
+    row.querySelector('.remove-site-rule').addEventListener('click', () => row.remove());
+
+    siteRulesListEl.append(row);
+    return row;
+}
+
+/**
+ * Rows with an empty pattern are dropped. Returns null after marking the first invalid row.
+ */
+function readSiteRules() {
+    const rules = [];
+
+    for (const row of siteRulesListEl.querySelectorAll('.site-rule')) {
+        const patternInput = row.querySelector('input[name="pattern"]');
+        const mode = row.querySelector('select[name="mode"]').value;
+        const tone = row.querySelector('select[name="tone"]').value;
+        const language = row.querySelector('select[name="language"]').value;
+        const template = row.querySelector('select[name="template"]').value;
+
+        if (!patternInput.value.trim()) {
+            continue;
+        }
+
+        const pattern = normalizeSitePattern(patternInput.value);
+        let error = '';
+
+        if (!pattern) {
+            error = 'Start the pattern with http://, https:// or *:// followed by a host.';
+        } else if (mode === 'always' && !getSitePermissionPattern(pattern)) {
+            error = 'Wildcards in the host must come first, as in *.example.com.';
+        }
+
+        if (error) {
+            patternInput.setCustomValidity(error);
+            patternInput.focus();
+            updateSiteRulesStatus(error, true);
+            return null;
+        }
+
+        rules.push({ pattern, mode, tone, language, template });
+    }
+
+    return rules;
+}
+
+async function handleSiteRulesSave(event) {
+    event.preventDefault();
+
+    const rules = readSiteRules();
+    if (!rules) {
+        return;
+    }
+
+    // "Always on" rules run without a click, so they need lasting access to their sites
+    const origins = rules
+        .filter((rule) => rule.mode === 'always')
+        .map((rule) => getSitePermissionPattern(rule.pattern));
+
+    try {
+        if (origins.length > 0 && !(await chrome.permissions.request({ origins }))) {
+            updateSiteRulesStatus('Site access was not granted, so "Always on" rules cannot run.', true);
+            return;
+        }
+
+        renderSiteRules(await saveSiteRules(rules));
+        updateSiteRulesStatus('Site rules saved.');
+    } catch (error) {
+        updateSiteRulesStatus(`Unable to save site rules: ${error.message}`, true);
+    }
+}
+
+/**
+ * List the saved templates in a site rule's select, keeping a choice whose template was deleted
+ */
+function fillTemplateSelect(select, value) {
+    select.replaceChildren(new Option('Usual template', ''));
+    promptTemplates.forEach((template) => select.add(new Option(template.name, template.id)));
+
+    if (value && !promptTemplates.some((template) => template.id === value)) {
+        select.add(new Option('Deleted template', value));
+    }
+
+    select.value = value;
+}
+
+function initializeTemplates() {
+    templatesStatusEl = document.getElementById('templates-status');
+
+    document.getElementById('template-variables').replaceChildren(...Object.entries(PROMPT_TEMPLATE_VARIABLES).map(([name, description]) => {
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = `{{${name}}}`;
+        item.append(code, ` ${description}`);
+        return item;
+    }));
+
+    document.getElementById('templates-form').addEventListener('submit', handleTemplatesSave);
+    document.getElementById('template-select').addEventListener('change', (event) => selectTemplate(event.target.value));
+    document.getElementById('new-template').addEventListener('click', () => addTemplate({ ...DEFAULT_PROMPT_TEMPLATE, name: 'New template' }));
+    document.getElementById('duplicate-template').addEventListener('click', () => {
+        const template = getSelectedTemplate();
+        addTemplate({ ...template, name: `${template.name} copy` });
+    });
+    document.getElementById('delete-template').addEventListener('click', () => {
+        promptTemplates = promptTemplates.filter((template) => template.id !== selectedTemplateId);
+        renderTemplates(DEFAULT_PROMPT_TEMPLATE.id);
+        updateTemplatesStatus('Deleted. Save templates to keep the change.');
+    });
+    document.getElementById('preview-template').addEventListener('click', handleTemplatePreview);
+    document.getElementById('template-sample').addEventListener('input', renderTemplatePreview);
+
+    ['name', 'system', 'user'].forEach((field) => {
+        const input = document.getElementById(`template-${field}`);
+        input.addEventListener('input', () => {
+            input.setCustomValidity('');
+            getSelectedTemplate()[field] = input.value;
+            if (field === 'name') {
+                document.getElementById('template-select').selectedOptions[0].text = input.value || 'Untitled';
+            }
+            renderTemplatePreview();
+        });
+    });
+
+    loadPromptTemplates()
+        .then((templates) => {
+            promptTemplates = templates;
+            renderTemplates(selectedTemplateId);
+        })
+        .catch((error) => updateTemplatesStatus(`Unable to load templates: ${error.message}`, true));
+}
+
+function getSelectedTemplate() {
+    return promptTemplates.find((template) => template.id === selectedTemplateId) || DEFAULT_PROMPT_TEMPLATE;
+}
+
+function addTemplate(template) {
+    const id = `template-${Date.now().toString(36)}`;
+    promptTemplates.push({ ...template, id, version: 0 });
+    renderTemplates(id);
+    document.getElementById('template-name').focus();
+}
+
+function renderTemplates(selectedId) {
+    const select = document.getElementById('template-select');
+    select.replaceChildren(...promptTemplates.map((template) => new Option(
+        template.id === DEFAULT_PROMPT_TEMPLATE.id ? `${template.name} (built in)` : template.name,
+        template.id,
+    )));
+
+    siteRulesListEl?.querySelectorAll('select[name="template"]').forEach((ruleSelect) => fillTemplateSelect(ruleSelect, ruleSelect.value));
+    selectTemplate(promptTemplates.some((template) => template.id === selectedId) ? selectedId : DEFAULT_PROMPT_TEMPLATE.id);
+}
+
+function selectTemplate(id) {
+    selectedTemplateId = id;
+    const template = getSelectedTemplate();
+    const isBuiltIn = template.id === DEFAULT_PROMPT_TEMPLATE.id;
+
+    document.getElementById('template-select').value = template.id;
+    ['name', 'system', 'user'].forEach((field) => {
+        const input = document.getElementById(`template-${field}`);
+        input.value = template[field];
+        input.readOnly = isBuiltIn;
+        input.setCustomValidity('');
+    });
+    document.getElementById('delete-template').disabled = isBuiltIn;
+    document.getElementById('template-version').textContent = template.version > 0
+        ? `Version ${template.version}${isBuiltIn ? ', duplicate it to make changes' : ''}`
+        : 'Not saved yet';
+
+    renderTemplatePreview();
+}
+
+/**
+ * Show the prompts the selected template produces for the sample text
+ */
+function renderTemplatePreview() {
+    const template = getSelectedTemplate();
+    const values = getPromptTemplateValues({
+        text: document.getElementById('template-sample').value.trim(),
+        language: null,
+        tone: DEFAULT_TONE,
+        ...TEMPLATE_PREVIEW_CONTEXT,
+    });
+
+    document.getElementById('template-preview').textContent = `System:\n${renderPromptTemplate(template.system, values)}\n\nUser:\n${renderPromptTemplate(template.user, values)}`;
+}
+
+async function handleTemplatePreview() {
+    const button = document.getElementById('preview-template');
+    const resultEl = document.getElementById('template-preview-result');
+    const error = validatePromptTemplate(getSelectedTemplate());
+
+    if (error) {
+        updateTemplatePreviewStatus(error, true);
+        return;
+    }
+
+    button.disabled = true;
+    resultEl.hidden = true;
+    updateTemplatePreviewStatus('Checking the sample text…');
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'previewPromptTemplate',
+            template: getSelectedTemplate(),
+            text: document.getElementById('template-sample').value,
+            ...TEMPLATE_PREVIEW_CONTEXT,
+        });
+
+        if (!response?.success) {
+            throw new Error(response?.error || 'No reply from the extension.');
+        }
+
+        const { correctedText, alternative, summary } = response.result;
+        resultEl.textContent = [
+            `Revised:\n${correctedText}`,
+            alternative ? `Alternative:\n${alternative}` : '',
+            summary ? `Summary:\n${summary}` : '',
+        ].filter(Boolean).join('\n\n');
+        resultEl.hidden = false;
+        updateTemplatePreviewStatus('');
+    } catch (error) {
+        updateTemplatePreviewStatus(`Preview failed: ${error.message}`, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function handleTemplatesSave(event) {
+    event.preventDefault();
+
+    const customTemplates = promptTemplates.filter((template) => template.id !== DEFAULT_PROMPT_TEMPLATE.id);
+    for (const template of customTemplates) {
+        const error = validatePromptTemplate(template);
+        if (error) {
+            selectTemplate(template.id);
+            const input = document.getElementById(error.includes('name') ? 'template-name' : 'template-user');
+            input.setCustomValidity(error);
+            input.focus();
+            updateTemplatesStatus(error, true);
+            return;
+        }
+    }
+
+    try {
+        promptTemplates = await savePromptTemplates(customTemplates);
+        renderTemplates(selectedTemplateId);
+        updateTemplatesStatus('Templates saved.');
+    } catch (error) {
+        updateTemplatesStatus(`Unable to save templates: ${error.message}`, true);
+    }
+}
+
+function updateTemplatesStatus(message, isError = false) {
+    templatesStatusEl.textContent = message || '';
+    templatesStatusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+function updateTemplatePreviewStatus(message, isError = false) {
+    const statusEl = document.getElementById('template-preview-status');
+    statusEl.textContent = message || '';
+    statusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+function updateSiteRulesStatus(message, isError = false) {
+    siteRulesStatusEl.textContent = message || '';
+    siteRulesStatusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+function updateStatus(message, isError = false) {
+    statusEl.textContent = message || '';
+    statusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+} else {
+    initialize();
+}
@@ -0,0 +1,167 @@
+/**
+ * TypeRight Redaction
+ * Replaces personal data and secrets with placeholders before text leaves the page,
+ * and puts the original values back into revisions applied to the page
+ */
+
+// Built-in detectors. Where matches overlap, the detector listed first wins.
+const REDACTION_RULES = [
+    {
+        type: 'API_KEY',
+        label: 'API key',
+        pattern: /\b(?:sk-[A-Za-z0-9_-]{20,}|(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abposr]-[A-Za-z0-9-]{10,}|eyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,})/g,
+    },
+    {
+        type: 'EMAIL',
+        label: 'email address',
+        pattern: /[\w.%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    },
+    {
+        type: 'IBAN',
+        label: 'IBAN',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        validate: isValidIban,
+    },
+    {
+        type: 'CARD',
+        label: 'card number',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: passesLuhnCheck,
+    },
+    {
+        type: 'PHONE',
+        label: 'phone number',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){2,4}(?!\w)/g,
+        validate: isLikelyPhoneNumber,
+    },
+];
+
+const CUSTOM_REDACTION_RULE = { type: 'REDACTED', label: 'custom pattern' };
+
+/**
+ * Replace every detected value with a placeholder such as [EMAIL_1]. The same value
+ * always gets the same placeholder, so unchanged paragraphs keep their cached results.
+ * Returns the redacted text and the placeholders with the values they stand for.
+ */
+function redactText(text, customPatterns = []) {
+    const rules = [
+        ...REDACTION_RULES,
+        ...customPatterns.map((pattern) => ({ ...CUSTOM_REDACTION_RULE, pattern })),
+    ];
+    const matches = [];
+
+    rules.forEach((rule) => {
+        for (const match of text.matchAll(new RegExp(rule.pattern.source, rule.pattern.flags.replace('g', '') + 'g'))) {
+            const start = match.index;
+            const end = start + match[0].length;
+
+            if (end === start
+                || (rule.validate && !rule.validate(match[0]))
+                || matches.some((other) => start < other.end && other.start < end)) {
+                continue;
+            }
+
+            matches.push({ start, end, rule });
+        }
+    });
+
+    matches.sort((a, b) => a.start - b.start);
+
+    const redactions = [];
+    const typeCounts = new Map();
+    let redactedText = '';
+    let position = 0;
+
+    matches.forEach(({ start, end, rule }) => {
+        const value = text.slice(start, end);
+        let redaction = redactions.find((item) => item.type === rule.type && item.value === value);
+
+        if (!redaction) {
+            const count = (typeCounts.get(rule.type) || 0) + 1;
+            typeCounts.set(rule.type, count);
+            redaction = { placeholder: `[${rule.type}_${count}]`, type: rule.type, label: rule.label, value };
+            redactions.push(redaction);
+        }
+
+        redactedText += text.slice(position, start) + redaction.placeholder;
+        position = end;
+    });
+
+    return { text: redactedText + text.slice(position), redactions };
+}
+
+/**
+ * Put the redacted values back in place of their placeholders
+ */
+function restoreRedactions(text, redactions = []) {
+    return redactions.reduce((restored, { placeholder, value }) => restored.split(placeholder).join(value), text || '');
+}
+
+/**
+ * Compile the user's patterns, one regular expression source per entry. Invalid ones are skipped.
+ */
+function compileRedactionPatterns(sources) {
+    return sources.flatMap((source) => {
+        try {
+            return [new RegExp(source, 'gu')];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+/**
+ * Indexes of the pattern sources that are not valid regular expressions
+ */
+function findInvalidRedactionPatterns(sources) {
+    return sources
+        .map((source, index) => (compileRedactionPatterns([source]).length === 0 ? index : -1))
+        .filter((index) => index !== -1);
+}
+
+function passesLuhnCheck(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+
+    for (let i = 0; i < digits.length; i += 1) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+function isValidIban(value) {
+    const iban = value.replace(/ /g, '');
+    if (iban.length < 15 || iban.length > 34) {
+        return false;
+    }
+
+    // Move the country code and check digits to the end, turn letters into numbers, then take mod 97
+    const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of numeric) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+
+    return remainder === 1;
+}
+
+/**
+ * Plain digit runs are often amounts, dates or IDs, so only numbers written the
+ * way phone numbers usually are count: international, trunk prefix, area code or 3-3-4
+ */
+function isLikelyPhoneNumber(value) {
+    const digitCount = value.replace(/\D/g, '').length;
+    if (digitCount < 7 || digitCount > 15) {
+        return false;
+    }
+
+    return /^(?:\+|\(|0)/.test(value) || /^\d{3}[ .-]\d{3}[ .-]\d{4}$/.test(value);
+}
@@ -0,0 +1,211 @@
+/**
+ * TypeRight Rule Checker
+ * Quick checks that need no model: doubled words, commonly confused words,
+ * capitalization, spacing and punctuation. Results have the same shape as a model's,
+ * so they can be shown straight away and used on their own when no model is running.
+ */
+
+// Comparatives that take "than", not "then"
+const COMPARATIVES = [
+    'more', 'less', 'fewer', 'rather', 'other', 'better', 'worse', 'bigger', 'smaller', 'larger',
+    'greater', 'higher', 'lower', 'faster', 'slower', 'longer', 'shorter', 'older', 'younger', 'easier',
+    'harder', 'cheaper', 'earlier', 'sooner', 'stronger', 'weaker', 'newer', 'further', 'farther',
+];
+
+// Words that are correct when doubled, as in "had had" or "that that"
+const ALLOWED_DOUBLED_WORDS = ['had', 'that'];
+
+// Abbreviations, including single-letter ones such as "U.S." and "p.m.", and runs of
+// ellipsis dots or exclamation marks, which need not end a sentence
+const LOWERCASE_ABBREVIATIONS = /(?:\b(?:e\.g|i\.e|etc|vs|approx|cf|incl)\.|(?<![\p{L}\p{N}])\p{L}\.(?:\p{L}\.)+|\.\.\.|!!+)$/iu;
+
+// Placeholders left by redaction, such as [EMAIL_1]; rules never touch them
+const RULE_PLACEHOLDER_PATTERN = /\[[A-Z]+_\d+\]/g;
+
+// URLs, email addresses, paths and key=value pairs, without trailing punctuation;
+// rules never touch them either
+const RULE_LITERAL_TOKEN_PATTERN = /(?:\S+:\/\/|\S*[@/=])\S*?(?=[.,;:!?)]*(?:\s|$))/gu;
+
+/**
+ * Each rule finds matches with a pattern and says what to replace them with.
+ * Patterns run over the whole text; where matches overlap, the rule listed first wins.
+ * Rules with `languages` only run for those languages, or when the language is unknown;
+ * rules with `skipLanguages` run for every language but those.
+ */
+const TEXT_RULES = [
+    {
+        id: 'doubled-word',
+        languages: ['en'],
+        category: 'grammar',
+        severity: 'major',
+        pattern: /(?<![\p{L}\p{N}])([\p{L}]+)\s+\1(?![\p{L}\p{N}])/giu,
+        test: (match) => !ALLOWED_DOUBLED_WORDS.includes(match[1].toLowerCase()),
+        replace: (match) => match[1],
+        explanation: (match) => `"${match[1]}" is written twice.`,
+    },
+    {
+        id: 'its-contraction',
+        languages: ['en'],
+        category: 'word choice',
+        severity: 'major',
+        pattern: /\b([Ii])ts(?= (?:not|been|going|getting)\b)/g,
+        replace: (match) => `${match[1]}t's`,
+        explanation: () => '"It\'s" is short for "it is" or "it has"; "its" means "belonging to it".',
+    },
+    {
+        id: 'its-possessive',
+        languages: ['en'],
+        category: 'word choice',
+        severity: 'major',
+        pattern: /\b([Ii])t['’]s(?= own\b)/g,
+        replace: (match) => `${match[1]}ts`,
+        explanation: () => '"Its" means "belonging to it"; "it\'s" is short for "it is".',
+    },
+    {
+        id: 'youre-contraction',
+        languages: ['en'],
+        category: 'word choice',
+        severity: 'major',
+        pattern: /\b([Yy])our(?= (?:welcome|not|going|getting)\b)/g,
+        replace: (match) => `${match[1]}ou're`,
+        explanation: () => '"You\'re" is short for "you are"; "your" means "belonging to you".',
+    },
+    {
+        id: 'your-possessive',
+        languages: ['en'],
+        category: 'word choice',
+        severity: 'major',
+        pattern: /\b([Yy])ou['’]re(?= own\b)/g,
+        replace: (match) => `${match[1]}our`,
+        explanation: () => '"Your" means "belonging to you"; "you\'re" is short for "you are".',
+    },
+    {
+        id: 'than-comparison',
+        languages: ['en'],
+        category: 'word choice',
+        severity: 'major',
+        pattern: new RegExp(`\\b(?:${COMPARATIVES.join('|')}) (t)hen\\b`, 'gi'),
+        replace: (match) => `${match[0].slice(0, -4)}${match[1]}han`,
+        explanation: () => 'Use "than" for comparisons; "then" is about time or sequence.',
+    },
+    {
+        id: 'then-sequence',
+        languages: ['en'],
+        category: 'word choice',
+        severity: 'major',
+        pattern: /(?<=(?:,|\band) )(t)han\b/gi,
+        replace: (match) => `${match[1]}hen`,
+        explanation: () => 'Use "then" for what happens next; "than" is for comparisons.',
+    },
+    {
+        id: 'capital-after-sentence',
+        category: 'spelling',
+        severity: 'moderate',
+        pattern: /([.!?])( +)(\p{Ll})/gu,
+        test: (match, text) => !LOWERCASE_ABBREVIATIONS.test(text.slice(Math.max(0, match.index - 8), match.index + 1)),
+        replace: (match) => `${match[1]}${match[2]}${match[3].toUpperCase()}`,
+        explanation: () => 'Start a new sentence with a capital letter.',
+    },
+    {
+        id: 'capital-i',
+        languages: ['en'],
+        category: 'spelling',
+        severity: 'moderate',
+        pattern: /(?<![\p{L}\p{N}.])i(?=[ '’](?![.]))/gu,
+        replace: () => 'I',
+        explanation: () => 'Write the pronoun "I" as a capital letter.',
+    },
+    {
+        id: 'space-before-punctuation',
+        category: 'punctuation',
+        severity: 'minor',
+        pattern: /(?<=\S)[ \t]+([,.;:!?])(?=\s|$)/g,
+        skipLanguages: ['fr'],
+        replace: (match) => match[1],
+        explanation: (match) => `Remove the space before "${match[1]}".`,
+    },
+    {
+        id: 'space-after-punctuation',
+        category: 'punctuation',
+        severity: 'minor',
+        // Between words of two letters or more, and for a full stop only between a lowercase
+        // word and a capitalized one, so "a,b", "Node.Js" and "obj.Method()" are left alone
+        pattern: /(?<=\p{L}{2})[,;!?](?=\p{L}{2})|(?<=(?<![\p{L}\p{N}.])\p{Ll}{2,})\.(?=\p{Lu}\p{Ll}+(?![\p{L}\p{N}.(_]))/gu,
+        replace: (match) => `${match[0]} `,
+        explanation: (match) => `Add a space after "${match[0]}".`,
+    },
+    {
+        id: 'repeated-punctuation',
+        category: 'punctuation',
+        severity: 'minor',
+        pattern: /([,;:])\1+/g,
+        replace: (match) => match[1],
+        explanation: (match) => `"${match[1]}" is repeated.`,
+    },
+    {
+        id: 'repeated-whitespace',
+        category: 'punctuation',
+        severity: 'minor',
+        pattern: /(?<=\S) {2,}(?=\S)/g,
+        replace: () => ' ',
+        explanation: () => 'Use a single space between words.',
+    },
+];
+
+/**
+ * Check text with TEXT_RULES. options.language is the text's language code, when known;
+ * rules that do not hold for it are skipped. Returns the corrected text and issues with
+ * offsets into the original.
+ */
+function checkWithRules(text, { language = null } = {}) {
+    const maskedRanges = [RULE_PLACEHOLDER_PATTERN, RULE_LITERAL_TOKEN_PATTERN].flatMap((pattern) => (
+        Array.from(text.matchAll(pattern), (match) => ({
+            start: match.index,
+            end: match.index + match[0].length,
+        }))
+    ));
+    const overlaps = (start, end, ranges) => ranges.some((range) => start < range.end && range.start < end);
+    const issues = [];
+
+    TEXT_RULES.forEach((rule) => {
+        if (language && (rule.skipLanguages?.includes(language) || (rule.languages && !rule.languages.includes(language)))) {
+            return;
+        }
+
+        for (const match of text.matchAll(rule.pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+
+            if ((rule.test && !rule.test(match, text)) || overlaps(start, end, maskedRanges) || overlaps(start, end, issues)) {
+                continue;
+            }
+
+            issues.push({
+                start,
+                end,
+                original: match[0],
+                replacement: rule.replace(match),
+                category: rule.category,
+                severity: rule.severity,
+                explanation: rule.explanation(match),
+                rule: rule.id,
+            });
+        }
+    });
+
+    issues.sort((a, b) => a.start - b.start);
+
+    let correctedText = '';
+    let position = 0;
+    issues.forEach((issue) => {
+        correctedText += text.slice(position, issue.start) + issue.replacement;
+        position = issue.end;
+    });
+    correctedText += text.slice(position);
+
+    return {
+        hasIssues: issues.length > 0,
+        issues,
+        correctedText,
+    };
+}
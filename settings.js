@@ -0,0 +1,491 @@
+/**
+ * TypeRight Settings
+ * Defaults, allowed ranges and storage for the options page settings and site rules,
+ * shared by the background worker, content scripts, side panel and options page
+ */
+
+const SETTINGS_STORAGE_KEY = 'typeright.settings';
+
+// Default and allowed range of each setting. Times are in milliseconds.
+const SETTINGS_FIELDS = {
+    typingDelay: { default: 2000, min: 500, max: 10000 }, // Pause after the last keystroke before checking
+    minTextLength: { default: 25, min: 5, max: 1000 }, // Characters a field needs before it is checked
+    clickCheckDelay: { default: 250, min: 0, max: 5000 }, // Wait before checking a field that was clicked or focused
+    requestTimeout: { default: 120000, min: 10000, max: 600000 }, // Time allowed for one model reply
+    maxRetries: { default: 2, min: 0, max: 5 }, // Retries after connection failures and server errors
+    chunkTokenBudget: { default: 1000, min: 200, max: 32000 }, // Largest estimated number of tokens sent in one check
+    historyMaxEntries: { default: 50, min: 1, max: 500 }, // Checks kept in history
+    historyMaxAgeDays: { default: 30, min: 1, max: 365 }, // Days a check stays in history
+};
+
+function getDefaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS_FIELDS).map(([key, field]) => [key, field.default]));
+}
+
+/**
+ * Fill in defaults and bring every value into its allowed range
+ */
+function normalizeSettings(values) {
+    return Object.fromEntries(Object.entries(SETTINGS_FIELDS).map(([key, field]) => {
+        const number = Number(values?.[key]);
+        return [key, Number.isFinite(number) ? Math.min(Math.max(Math.round(number), field.min), field.max) : field.default];
+    }));
+}
+
+/**
+ * Keys of the values that are missing or outside their allowed range
+ */
+function findInvalidSettings(values) {
+    return Object.entries(SETTINGS_FIELDS)
+        .filter(([key, field]) => {
+            const number = Number(values?.[key]);
+            return !Number.isFinite(number) || number < field.min || number > field.max;
+        })
+        .map(([key]) => key);
+}
+
+async function loadSettings() {
+    const stored = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+    return normalizeSettings(stored[SETTINGS_STORAGE_KEY]);
+}
+
+async function saveSettings(changes) {
+    const settings = normalizeSettings({ ...(await loadSettings()), ...changes });
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+    return settings;
+}
+
+/**
+ * Call callback with the new settings whenever any page or script saves them
+ */
+function watchSettings(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+            callback(normalizeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+        }
+    });
+}
+
+// Scratchpad checks kept, apart from the page history limit
+const SCRATCHPAD_HISTORY_MAX_ENTRIES = 20;
+
+const SITE_RULES_STORAGE_KEY = 'typeright.siteRules';
+
+// What happens when the side panel is open on a matching page: checking is turned on,
+// the panel asks whether to turn it on, or it is kept off
+const SITE_RULE_MODES = ['always', 'ask', 'never'];
+
+// Registers the Alternative suggestion can be written in. The instruction completes
+// "alternative suggestions rewritten in …" in the prompt.
+const TONE_PRESETS = {
+    natural: { label: 'Natural', instruction: 'more natural and idiomatic language' },
+    formal: { label: 'Formal', instruction: 'a formal, professional register suitable for customer emails: complete sentences, no slang or contractions' },
+    casual: { label: 'Casual', instruction: 'a relaxed, friendly register suitable for chat: contractions and everyday words are fine' },
+    concise: { label: 'Concise', instruction: 'as few words as possible, suitable for tickets: keep every fact and drop filler, hedging and pleasantries' },
+    diplomatic: { label: 'Diplomatic', instruction: 'a tactful, constructive register suitable for reviews: soften criticism and acknowledge what works without losing the substance' },
+};
+
+const DEFAULT_TONE = 'natural';
+
+// Language choice that leaves it to local detection
+const AUTO_LANGUAGE = 'auto';
+
+// Languages offered when pinning; detection and lang attributes may report others
+const PINNABLE_LANGUAGES = ['en', 'de', 'es', 'fr', 'it', 'pt', 'nl', 'pl', 'sv', 'da', 'nb', 'fi', 'cs', 'tr', 'ru', 'uk', 'ja', 'zh', 'ko'];
+
+/**
+ * Primary subtag of a BCP 47 tag (de-CH -> de), or null when the tag is not one
+ */
+function normalizeLanguageCode(tag) {
+    const match = typeof tag === 'string' ? tag.trim().match(/^([a-z]{2,3})(?:[-_][a-z0-9]{1,8})*$/i) : null;
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * English name of a language code, for prompts and labels
+ */
+function getLanguageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Keep well-formed rules only, one per pattern. A pattern is an origin such as
+ * https://docs.example.com, or a URL with * wildcards such as https://*.example.com/tickets/*
+ * A rule sets a page checking mode, the default tone, language and prompt template for
+ * matching pages, or both; a rule with only defaults leaves checking to other rules.
+ */
+function normalizeSiteRules(rules) {
+    const byPattern = new Map();
+
+    (Array.isArray(rules) ? rules : []).forEach((rule) => {
+        const pattern = normalizeSitePattern(rule?.pattern);
+        const language = rule?.language === AUTO_LANGUAGE ? AUTO_LANGUAGE : normalizeLanguageCode(rule?.language);
+
+        const normalized = {
+            pattern,
+            ...(SITE_RULE_MODES.includes(rule?.mode) ? { mode: rule.mode } : {}),
+            ...(TONE_PRESETS[rule?.tone] ? { tone: rule.tone } : {}),
+            ...(language ? { language } : {}),
+            ...(typeof rule?.template === 'string' && rule.template ? { template: rule.template } : {}),
+        };
+
+        if (pattern && Object.keys(normalized).length > 1) {
+            byPattern.set(pattern, normalized);
+        }
+    });
+
+    return Array.from(byPattern.values());
+}
+
+/**
+ * Returns null when the pattern does not start with a scheme and host
+ */
+function normalizeSitePattern(pattern) {
+    const trimmed = typeof pattern === 'string' ? pattern.trim() : '';
+    if (!/^(\*|https?):\/\/[^/\s]+(\/\S*)?$/i.test(trimmed)) {
+        return null;
+    }
+
+    // An origin with a bare trailing slash means the same as the origin
+    return trimmed.replace(/^([^:]+:\/\/[^/]+)\/$/, '$1');
+}
+
+/**
+ * The rule for a URL. When several patterns match, the most specific one wins: a pattern
+ * naming an exact host beats a wildcard host, then the longer pattern beats the shorter.
+ */
+function findSiteRule(rules, url) {
+    return rules
+        .filter((rule) => sitePatternToRegExp(rule.pattern).test(url))
+        .sort((a, b) => compareSitePatterns(b.pattern, a.pattern))[0] || null;
+}
+
+function compareSitePatterns(a, b) {
+    const hasExactHost = (pattern) => !/^[^:]+:\/\/[^/]*\*/.test(pattern);
+    const literalLength = (pattern) => pattern.replace(/\*/g, '').length;
+
+    return (hasExactHost(a) - hasExactHost(b)) || (literalLength(a) - literalLength(b));
+}
+
+function sitePatternToRegExp(pattern) {
+    const hasPath = /^[^:]+:\/\/[^/]+\//.test(pattern);
+    const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+
+    // Origin-only patterns cover every page of the origin
+    return new RegExp(`^${source}${hasPath ? '' : '(?:[/?#].*)?'}$`, 'i');
+}
+
+/**
+ * Host permission covering a pattern's origin, so "always" rules can run without a click.
+ * Returns null when the host wildcard is not one Chrome accepts.
+ */
+function getSitePermissionPattern(pattern) {
+    const match = pattern.match(/^([^:]+):\/\/([^/]+)/);
+    if (!match || !/^(\*|(\*\.)?[^*]+)$/.test(match[2])) {
+        return null;
+    }
+
+    return `${match[1].toLowerCase()}://${match[2]}/*`;
+}
+
+async function loadSiteRules() {
+    const stored = await chrome.storage.local.get(SITE_RULES_STORAGE_KEY);
+    return normalizeSiteRules(stored[SITE_RULES_STORAGE_KEY]);
+}
+
+async function saveSiteRules(rules) {
+    const normalized = normalizeSiteRules(rules);
+    await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: normalized });
+    return normalized;
+}
+
+// Regular expressions the user added to the built-in redaction detectors in redact.js
+const REDACTION_PATTERNS_STORAGE_KEY = 'typeright.redactionPatterns';
+
+function normalizeRedactionPatterns(patterns) {
+    return (Array.isArray(patterns) ? patterns : [])
+        .filter((pattern) => typeof pattern === 'string' && pattern.trim())
+        .map((pattern) => pattern.trim());
+}
+
+async function loadRedactionPatterns() {
+    const stored = await chrome.storage.local.get(REDACTION_PATTERNS_STORAGE_KEY);
+    return normalizeRedactionPatterns(stored[REDACTION_PATTERNS_STORAGE_KEY]);
+}
+
+async function saveRedactionPatterns(patterns) {
+    const normalized = normalizeRedactionPatterns(patterns);
+    await chrome.storage.local.set({ [REDACTION_PATTERNS_STORAGE_KEY]: normalized });
+    return normalized;
+}
+
+function watchRedactionPatterns(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[REDACTION_PATTERNS_STORAGE_KEY]) {
+            callback(normalizeRedactionPatterns(changes[REDACTION_PATTERNS_STORAGE_KEY].newValue));
+        }
+    });
+}
+
+// Personal dictionary: protected terms, and changes the user chose to ignore
+const DICTIONARY_STORAGE_KEY = 'typeright.dictionary';
+
+/**
+ * Terms are kept as typed, without duplicates. Ignored changes are { original, replacement }
+ * pairs; pairs that differ only in case or spacing count as the same change.
+ */
+function normalizeDictionary(dictionary) {
+    const ignoredChanges = new Map();
+
+    (Array.isArray(dictionary?.ignoredChanges) ? dictionary.ignoredChanges : []).forEach((change) => {
+        const original = typeof change?.original === 'string' ? change.original.trim() : '';
+        const replacement = typeof change?.replacement === 'string' ? change.replacement.trim() : '';
+
+        if ((original || replacement) && original !== replacement) {
+            ignoredChanges.set(getIgnoredChangeKey(original, replacement), { original, replacement });
+        }
+    });
+
+    return {
+        terms: parseWordList((Array.isArray(dictionary?.terms) ? dictionary.terms : []).join('\n')),
+        ignoredChanges: Array.from(ignoredChanges.values()),
+    };
+}
+
+function getIgnoredChangeKey(original, replacement) {
+    const normalize = (text) => (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return JSON.stringify([normalize(original), normalize(replacement)]);
+}
+
+/**
+ * One term per line, the format used for import and export. Blank lines are skipped.
+ */
+function parseWordList(text) {
+    return Array.from(new Set((text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean)));
+}
+
+function formatWordList(terms) {
+    return terms.length > 0 ? `${terms.join('\n')}\n` : '';
+}
+
+async function loadDictionary() {
+    const stored = await chrome.storage.local.get(DICTIONARY_STORAGE_KEY);
+    return normalizeDictionary(stored[DICTIONARY_STORAGE_KEY]);
+}
+
+async function saveDictionary(dictionary) {
+    const normalized = normalizeDictionary(dictionary);
+    await chrome.storage.local.set({ [DICTIONARY_STORAGE_KEY]: normalized });
+    return normalized;
+}
+
+// Named prompt templates. The built-in one is not stored and cannot be edited.
+const PROMPT_TEMPLATES_STORAGE_KEY = 'typeright.promptTemplates';
+
+const DEFAULT_PROMPT_TEMPLATE = {
+    id: 'default',
+    name: 'Default',
+    version: 1,
+    system: 'You\'re a communication expert. You\'re tasked with helping the user with communication skills. Your goal is to take the user input and provide feedback on grammatical mistakes and summarize the meaning.',
+    user: `User Input:
+- Original: {{text}}
+
+Check the user input by the rules of {{language}}, and write the revised text, the alternatives, the summary and every explanation in {{language}}. Never translate it into another language.
+
+Write the alternative suggestions in {{tone}}.
+
+Focus on clarity and correctness in the revised version.`,
+};
+
+// Variables a template can use, written as {{name}}
+const PROMPT_TEMPLATE_VARIABLES = {
+    text: 'The text being checked, with redacted values as placeholders',
+    language: 'Name of the language the text is checked in, or "the language it is written in"',
+    tone: 'How the selected tone is described to the model, such as "a formal, professional register …"',
+    fieldLabel: 'Label of the field the text was typed in, or "a text field"',
+    site: 'Host name of the page, or "an unknown site"',
+};
+
+const PROMPT_TEMPLATE_VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Values for the template variables. language is a language code or null, tone a TONE_PRESETS key.
+ */
+function getPromptTemplateValues({ text, language, tone, fieldLabel, site }) {
+    return {
+        text,
+        language: language ? getLanguageName(language) : 'the language it is written in',
+        tone: (TONE_PRESETS[tone] || TONE_PRESETS[DEFAULT_TONE]).instruction,
+        fieldLabel: fieldLabel || 'a text field',
+        site: site || 'an unknown site',
+    };
+}
+
+function renderPromptTemplate(source, values) {
+    return source.replace(PROMPT_TEMPLATE_VARIABLE_PATTERN, (match, name) => values[name] ?? match);
+}
+
+function templateUsesVariable(template, name) {
+    return Array.from(`${template.system}\n${template.user}`.matchAll(PROMPT_TEMPLATE_VARIABLE_PATTERN))
+        .some((match) => match[1] === name);
+}
+
+/**
+ * What is wrong with a template, or an empty string when it can be used
+ */
+function validatePromptTemplate(template) {
+    const unknown = Array.from(`${template.system}\n${template.user}`.matchAll(PROMPT_TEMPLATE_VARIABLE_PATTERN))
+        .map((match) => match[1])
+        .find((name) => !PROMPT_TEMPLATE_VARIABLES[name]);
+
+    if (!template.name.trim()) {
+        return 'Give the template a name.';
+    }
+    if (unknown) {
+        return `{{${unknown}}} is not a template variable.`;
+    }
+    if (!templateUsesVariable({ system: '', user: template.user }, 'text')) {
+        return 'The user prompt needs {{text}}, or the model never sees the text.';
+    }
+
+    return '';
+}
+
+/**
+ * Keep well-formed custom templates, one per id. Versions start at 1.
+ */
+function normalizePromptTemplates(templates) {
+    const byId = new Map();
+
+    (Array.isArray(templates) ? templates : []).forEach((template) => {
+        const id = typeof template?.id === 'string' ? template.id.trim() : '';
+
+        if (id && id !== DEFAULT_PROMPT_TEMPLATE.id && typeof template.system === 'string' && typeof template.user === 'string') {
+            byId.set(id, {
+                id,
+                name: (typeof template.name === 'string' && template.name.trim()) || 'Untitled',
+                version: Number.isInteger(template.version) && template.version > 0 ? template.version : 1,
+                system: template.system,
+                user: template.user,
+            });
+        }
+    });
+
+    return Array.from(byId.values());
+}
+
+/**
+ * The built-in template followed by the saved ones
+ */
+async function loadPromptTemplates() {
+    const stored = await chrome.storage.local.get(PROMPT_TEMPLATES_STORAGE_KEY);
+    return [DEFAULT_PROMPT_TEMPLATE, ...normalizePromptTemplates(stored[PROMPT_TEMPLATES_STORAGE_KEY])];
+}
+
+/**
+ * Save the custom templates. A template whose prompts changed since it was last saved
+ * gets the next version, so history entries show which revision produced them.
+ */
+async function savePromptTemplates(templates) {
+    const previous = new Map((await loadPromptTemplates()).map((template) => [template.id, template]));
+    const normalized = normalizePromptTemplates(templates).map((template) => {
+        const saved = previous.get(template.id);
+        if (!saved) {
+            return { ...template, version: 1 };
+        }
+
+        const changed = saved.system !== template.system || saved.user !== template.user;
+        return { ...template, version: changed ? saved.version + 1 : saved.version };
+    });
+
+    await chrome.storage.local.set({ [PROMPT_TEMPLATES_STORAGE_KEY]: normalized });
+    return [DEFAULT_PROMPT_TEMPLATE, ...normalized];
+}
+
+// Kinds of issue the model reports, and how serious each kind is unless the model says otherwise
+const ISSUE_CATEGORIES = ['spelling', 'grammar', 'punctuation', 'word choice', 'style', 'clarity'];
+
+// From least to most serious
+const ISSUE_SEVERITIES = ['minor', 'moderate', 'major'];
+
+const DEFAULT_ISSUE_SEVERITY = {
+    spelling: 'major',
+    grammar: 'major',
+    punctuation: 'moderate',
+    'word choice': 'moderate',
+    style: 'minor',
+    clarity: 'moderate',
+};
+
+const ISSUE_FILTERS_STORAGE_KEY = 'typeright.issueFilters';
+
+/**
+ * Issues below the minimum severity do not flag a field. Hidden categories only
+ * affect what the side panel shows.
+ */
+function normalizeIssueFilters(filters) {
+    return {
+        minimumSeverity: ISSUE_SEVERITIES.includes(filters?.minimumSeverity) ? filters.minimumSeverity : ISSUE_SEVERITIES[0],
+        hiddenCategories: ISSUE_CATEGORIES.filter((category) => filters?.hiddenCategories?.includes(category)),
+    };
+}
+
+/**
+ * The issue's severity, falling back to its category's default. Issues reported as
+ * plain text have neither, so they count as moderate.
+ */
+function getIssueSeverity(issue) {
+    if (ISSUE_SEVERITIES.includes(issue?.severity)) {
+        return issue.severity;
+    }
+
+    return DEFAULT_ISSUE_SEVERITY[issue?.category] || 'moderate';
+}
+
+function meetsMinimumSeverity(issue, minimumSeverity) {
+    return ISSUE_SEVERITIES.indexOf(getIssueSeverity(issue)) >= ISSUE_SEVERITIES.indexOf(minimumSeverity);
+}
+
+async function loadIssueFilters() {
+    const stored = await chrome.storage.local.get(ISSUE_FILTERS_STORAGE_KEY);
+    return normalizeIssueFilters(stored[ISSUE_FILTERS_STORAGE_KEY]);
+}
+
+async function saveIssueFilters(changes) {
+    const filters = normalizeIssueFilters({ ...(await loadIssueFilters()), ...changes });
+    await chrome.storage.local.set({ [ISSUE_FILTERS_STORAGE_KEY]: filters });
+    return filters;
+}
+
+function watchIssueFilters(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[ISSUE_FILTERS_STORAGE_KEY]) {
+            callback(normalizeIssueFilters(changes[ISSUE_FILTERS_STORAGE_KEY].newValue));
+        }
+    });
+}
+
+// When on, checks use the rules in rules.js only and never ask the model
+const RULES_ONLY_STORAGE_KEY = 'typeright.rulesOnly';
+
+async function loadRulesOnly() {
+    const stored = await chrome.storage.local.get(RULES_ONLY_STORAGE_KEY);
+    return stored[RULES_ONLY_STORAGE_KEY] === true;
+}
+
+async function saveRulesOnly(enabled) {
+    await chrome.storage.local.set({ [RULES_ONLY_STORAGE_KEY]: enabled === true });
+    return enabled === true;
+}
+
+function watchRulesOnly(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[RULES_ONLY_STORAGE_KEY]) {
+            callback(changes[RULES_ONLY_STORAGE_KEY].newValue === true);
+        }
+    });
+}
@@ -10,34 +10,136 @@ const state = {
     currentTabId: null,
     tabListenersRegistered: false,
     availableModels: [],
+    providers: [],
+    selectedProvider: null,
+    preferences: {}, // Preference key -> { options, value } for the active tab
     selectedModel: null,
     modelsLoading: false,
     captureEnabled: false,
+    site: null, // Origin of the active tab, when it is a regular web page
+    siteRule: null, // Site rule matching the active tab: { pattern, mode }
+    sitePromptDismissed: false, // "Not now" on the prompt of an "ask" rule, until the next page load
     captureStatusTimeoutId: null,
+    appliedEdits: new Map(),
+    showDiff: true,
+    showMetrics: false, // Whether cards open their readability figures
+    rejectedHunks: new Map(),
+    partialSuggestions: new Map(),
+    selectionRedactions: new Map(), // Request ID -> redactions with their values, for showing a selection's card
+    dictionary: { terms: [], ignoredChanges: [] },
+    selectedSuggestionKey: null, // Card picked with the next-suggestion shortcut
+    issueFilters: normalizeIssueFilters(),
+    scratchpad: {
+        history: [],
+        requestId: null, // Latest check; older results are ignored
+        lastCheckedText: null, // Set once the scratchpad has been checked, so edits re-check it
+        redactions: new Map(), // Request ID -> redactions with their values, for using a revision
+        redactionPatterns: [],
+        typingDelay: SETTINGS_FIELDS.typingDelay.default,
+        recheckTimer: null,
+    },
 };
 
 let captureToggleEl = null;
+let sitePromptEl = null;
 let captureStatusEl = null;
+let siteRuleEl = null;
+let providerSelectEl = null;
+let testConnectionButton = null;
 let modelSelectEl = null;
 let refreshModelsButton = null;
 let modelStatusEl = null;
+const preferenceEls = {}; // Preference key -> { selectEl, siteDefaultEl }
+let connectionBaseUrlEl = null;
+let connectionAuthNameEl = null;
+let connectionAuthValueEl = null;
+let connectionStatusEl = null;
+let historyMaxEntriesEl = null;
+let historyMaxAgeEl = null;
+let historyStatusEl = null;
+let dictionaryTermsEl = null;
+let ignoredChangesEl = null;
+let dictionaryStatusEl = null;
+let scratchpadTextEl = null;
+let scratchpadStatusEl = null;
 
 const MODEL_STATUS_MESSAGES = {
     loading: 'Loading models…',
     refreshing: 'Refreshing model list…',
     switching: (model) => `Switching to ${model}…`,
     success: (model) => `Using model: ${model}`,
-    empty: 'No models detected. Use "ollama pull <model>" then click Refresh.',
+    empty: () => getSelectedProviderInfo()?.emptyModelsHint || 'No models detected. Click Refresh to try again.',
 };
 
 const CAPTURE_STATUS_TIMEOUT_MS = 5000;
 
+// Rows of the readability table, and which direction counts as an improvement
+const METRIC_ROWS = [
+    {
+        label: 'Reading ease',
+        title: 'Flesch reading ease, 0 to 100. Higher is easier; 60 to 70 is plain English.',
+        better: 'higher',
+        value: (metrics) => metrics.readingEase,
+        format: (value) => value.toFixed(0),
+    },
+    {
+        label: 'Grade level',
+        title: 'Flesch-Kincaid grade: the US school year a reader needs',
+        better: 'lower',
+        value: (metrics) => metrics.gradeLevel,
+        format: (value) => value.toFixed(1),
+    },
+    {
+        label: 'Avg. sentence',
+        title: 'Average words per sentence',
+        better: 'lower',
+        value: (metrics) => metrics.averageSentenceLength,
+        format: (value) => `${value.toFixed(1)} words`,
+    },
+    {
+        label: 'Longest sentence',
+        better: 'lower',
+        value: (metrics) => metrics.maxSentenceLength,
+        format: (value) => `${value} words`,
+    },
+    {
+        label: 'Passive voice',
+        title: 'Forms of "to be" followed by a past participle, such as "was written"',
+        better: 'lower',
+        value: (metrics) => metrics.passiveCount,
+        format: (value) => String(value),
+    },
+    {
+        label: 'Adverbs',
+        title: 'Share of words that are adverbs, such as "really" or "quickly"',
+        better: 'lower',
+        value: (metrics) => metrics.adverbDensity,
+        format: (value) => `${value.toFixed(1)}%`,
+    },
+    {
+        label: 'Repeated words',
+        title: `Words other than common ones used ${REPEATED_WORD_MIN_COUNT} or more times`,
+        better: 'lower',
+        value: (metrics) => metrics.repeatedWords.length,
+        format: (value, metrics) => (value === 0
+            ? 'None'
+            : metrics.repeatedWords.slice(0, 3).map(({ word, count }) => `${word} ×${count}`).join(', ')
+                + (value > 3 ? ` +${value - 3}` : '')),
+    },
+];
+
 function initialize() {
     console.log('TypeRight Side Panel: Initialized');
     connectToBackground();
     addStyles();
     setupCaptureControls();
     setupModelControls();
+    setupConnectionControls();
+    setupHistoryControls();
+    setupDictionaryControls();
+    setupIssueFilters();
+    setupShortcutList();
+    setupScratchpad();
     renderSuggestions(state.suggestions);
 }
 
@@ -46,10 +148,26 @@ function connectToBackground() {
         const port = chrome.runtime.connect({ name: 'sidepanel' });
         state.port = port;
 
+        if (providerSelectEl) {
+            port.postMessage({ action: 'requestProviders' });
+        }
+
         if (modelSelectEl) {
             requestModelList({ forceRefresh: false });
         }
 
+        if (historyStatusEl) {
+            port.postMessage({ action: 'getHistorySettings' });
+        }
+
+        if (dictionaryStatusEl) {
+            port.postMessage({ action: 'getDictionary' });
+        }
+
+        if (scratchpadTextEl) {
+            port.postMessage({ action: 'requestScratchpadHistory' });
+        }
+
         port.onMessage.addListener(handlePortMessage);
 
         port.onDisconnect.addListener(() => {
@@ -79,10 +197,17 @@ function handlePortMessage(message) {
         case 'displaySuggestion':
             if (message.data) {
                 state.currentTabId = message.data.tabId ?? state.currentTabId;
+                state.partialSuggestions.delete(getPartialKey(message.data));
+                keepSelectionRedactions(message);
                 upsertSuggestion(message.data);
             }
             break;
 
+        case 'partialSuggestion':
+            keepSelectionRedactions(message);
+            handlePartialSuggestion(message.data);
+            break;
+
         case 'displayError':
             displayError(message.error || 'Unknown error occurred');
             break;
@@ -118,9 +243,74 @@ function handlePortMessage(message) {
             handleModelSelectionError(message.error);
             break;
 
+        case 'providerList':
+            handleProviderList(message);
+            break;
+
+        case 'providerSelected':
+            handleProviderSelected(message.provider);
+            break;
+
+        case 'providerSelectionError':
+            handleModelSelectionError(message.error);
+            populateProviderSelect();
+            break;
+
+        case 'connectionTest':
+            handleConnectionTest(message);
+            break;
+
+        case 'preferenceList':
+            handlePreferenceList(message);
+            break;
+
+        case 'providerSettings':
+            handleProviderSettings(message);
+            break;
+
         case 'captureStatus':
             handleCaptureStatus(message);
             break;
+
+        case 'historySettings':
+            handleHistorySettings(message);
+            break;
+
+        case 'dictionary':
+            handleDictionary(message);
+            break;
+
+        case 'applyResult':
+            handleApplyResult(message);
+            break;
+
+        case 'undoResult':
+            handleUndoResult(message);
+            break;
+
+        case 'recheckResult':
+            handleRecheckResult(message);
+            break;
+
+        case 'scratchpadProgress':
+            handleScratchpadProgress(message);
+            break;
+
+        case 'scratchpadResult':
+            handleScratchpadResult(message);
+            break;
+
+        case 'scratchpadHistory':
+            setScratchpadHistory(Array.isArray(message.history) ? message.history : []);
+            break;
+
+        case 'runCommand':
+            handleCommand(message);
+            break;
+
+        case 'closeSidePanel':
+            window.close();
+            break;
     }
 }
 
@@ -129,6 +319,7 @@ function handleTabActivated(activeInfo) {
         return;
     }
     state.currentTabId = activeInfo.tabId;
+    updateSiteRule(null, null);
     updateCaptureStatus(false);
     syncActiveTab();
 }
@@ -136,6 +327,7 @@ function handleTabActivated(activeInfo) {
 function handleTabUpdated(tabId, changeInfo, tab) {
     if (changeInfo.status === 'complete' && tab.active) {
         state.currentTabId = tabId;
+        updateSiteRule(null, null);
         updateCaptureStatus(false);
         syncActiveTab();
     }
@@ -144,12 +336,24 @@ function handleTabUpdated(tabId, changeInfo, tab) {
 function setupCaptureControls() {
     captureToggleEl = document.getElementById('capture-toggle');
     captureStatusEl = document.getElementById('capture-status');
+    siteRuleEl = document.getElementById('site-rule');
+    sitePromptEl = document.getElementById('site-prompt');
 
     if (!captureToggleEl || !captureStatusEl) {
         console.warn('TypeRight Side Panel: Capture controls missing from DOM');
         return;
     }
 
+    // "Enable" does what ticking the toggle does
+    document.getElementById('site-prompt-enable')?.addEventListener('click', () => {
+        captureToggleEl.checked = true;
+        captureToggleEl.dispatchEvent(new Event('change'));
+    });
+    document.getElementById('site-prompt-dismiss')?.addEventListener('click', () => {
+        state.sitePromptDismissed = true;
+        updateCaptureStatus(state.captureEnabled);
+    });
+
     captureToggleEl.addEventListener('change', () => {
         const enabled = captureToggleEl.checked;
 
@@ -171,9 +375,71 @@ function setupCaptureControls() {
         }
     });
 
+    siteRuleEl?.addEventListener('change', () => requestSiteRule(siteRuleEl.value));
+
     updateCaptureStatus(false);
 }
 
+/**
+ * Remember the chosen mode for the active tab's site. "Always on" needs lasting access
+ * to the site, which Chrome only lets us request while handling the user's change.
+ */
+function requestSiteRule(mode) {
+    if (!state.port || state.currentTabId == null || !state.site) {
+        updateSiteRule(state.site, state.siteRule);
+        return;
+    }
+
+    const postSiteRule = () => {
+        beginCaptureStatusRequest('Saving site rule…');
+        state.port.postMessage({
+            action: 'setSiteRule',
+            tabId: state.currentTabId,
+            mode,
+        });
+    };
+
+    if (mode !== 'always') {
+        postSiteRule();
+        return;
+    }
+
+    chrome.permissions.request({ origins: [`${state.site}/*`] }).then((granted) => {
+        if (!granted) {
+            updateSiteRule(state.site, state.siteRule);
+            updateCaptureStatus(state.captureEnabled, `Permission to run on ${state.site} was not granted.`);
+            return;
+        }
+
+        postSiteRule();
+    }).catch((error) => {
+        updateSiteRule(state.site, state.siteRule);
+        updateCaptureStatus(state.captureEnabled, error.message || 'Unable to request access to this site.');
+    });
+}
+
+function updateSiteRule(site, siteRule) {
+    state.site = site || null;
+    state.siteRule = siteRule || null;
+
+    // Switching tabs or loading a page clears the site first, so "ask" rules ask again
+    if (!state.site) {
+        state.sitePromptDismissed = false;
+    }
+
+    if (!siteRuleEl) {
+        return;
+    }
+
+    siteRuleEl.value = state.siteRule?.mode || '';
+    siteRuleEl.disabled = !state.site;
+
+    // Rules added on the options page can cover more than this origin
+    siteRuleEl.title = state.siteRule && state.siteRule.pattern !== state.site
+        ? `Set by the rule for ${state.siteRule.pattern}`
+        : '';
+}
+
 function requestCaptureStatus() {
     if (!state.port || state.currentTabId == null) {
         updateCaptureStatus(false, 'No active tab is available.');
@@ -197,8 +463,12 @@ function handleCaptureStatus(message) {
         return;
     }
 
+    if ('site' in message) {
+        updateSiteRule(message.site, message.siteRule);
+    }
+
     if (message.error) {
-        updateCaptureStatus(false, message.error);
+        updateCaptureStatus(Boolean(message.enabled), message.error);
         return;
     }
 
@@ -231,9 +501,15 @@ function updateCaptureStatus(enabled, errorMessage = '') {
     state.captureStatusTimeoutId = null;
     state.captureEnabled = Boolean(enabled);
 
+    const isBlocked = state.siteRule?.mode === 'never';
+
     if (captureToggleEl) {
         captureToggleEl.checked = state.captureEnabled;
-        captureToggleEl.disabled = false;
+        captureToggleEl.disabled = isBlocked;
+    }
+
+    if (sitePromptEl) {
+        sitePromptEl.hidden = state.siteRule?.mode !== 'ask' || state.captureEnabled || state.sitePromptDismissed || Boolean(errorMessage);
     }
 
     if (!captureStatusEl) {
@@ -243,6 +519,9 @@ function updateCaptureStatus(enabled, errorMessage = '') {
     if (errorMessage) {
         captureStatusEl.textContent = errorMessage;
         captureStatusEl.classList.add('is-error');
+    } else if (isBlocked) {
+        captureStatusEl.textContent = 'Checking is off on this site. Change "Remember for this site" to allow it.';
+        captureStatusEl.classList.remove('is-error');
     } else {
         captureStatusEl.textContent = state.captureEnabled
             ? 'On for this page. Sensitive-looking fields are skipped.'
@@ -252,6 +531,8 @@ function updateCaptureStatus(enabled, errorMessage = '') {
 }
 
 function setupModelControls() {
+    providerSelectEl = document.getElementById('provider-select');
+    testConnectionButton = document.getElementById('test-connection');
     modelSelectEl = document.getElementById('model-select');
     refreshModelsButton = document.getElementById('refresh-models');
     modelStatusEl = document.getElementById('model-status');
@@ -265,6 +546,28 @@ function setupModelControls() {
         requestModelList({ forceRefresh: true });
     });
 
+    providerSelectEl?.addEventListener('change', (event) => {
+        const provider = event.target.value;
+
+        if (!provider || provider === state.selectedProvider || !state.port) {
+            return;
+        }
+
+        setModelControlsLoading(true, `Switching to ${event.target.selectedOptions[0]?.textContent || provider}…`);
+        state.port.postMessage({ action: 'setProvider', provider });
+    });
+
+    testConnectionButton?.addEventListener('click', () => {
+        if (!state.port) {
+            updateModelStatus('Not connected. Reopen the side panel and try again.', true);
+            return;
+        }
+
+        testConnectionButton.disabled = true;
+        updateModelStatus(`Testing connection to ${getSelectedProviderInfo()?.baseUrl || 'the server'}…`);
+        state.port.postMessage({ action: 'testConnection', provider: state.selectedProvider });
+    });
+
     modelSelectEl.addEventListener('change', (event) => {
         const newModel = event.target.value;
 
@@ -282,249 +585,1762 @@ function setupModelControls() {
     });
 
     requestModelList({ forceRefresh: false });
+    setupPreferenceControls();
+    setupRulesOnlyToggle();
 }
 
-function syncActiveTab() {
-    try {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (chrome.runtime.lastError) {
-                console.warn('TypeRight Side Panel: Failed to query tabs:', chrome.runtime.lastError.message);
-                return;
-            }
+/**
+ * Rules-only mode checks with the built-in rules and never asks the model, for when
+ * the AI server is not running
+ */
+function setupRulesOnlyToggle() {
+    const toggleEl = document.getElementById('rules-only');
+    if (!toggleEl) {
+        return;
+    }
 
-            const activeTab = tabs && tabs[0];
-            if (!activeTab) {
-                return;
-            }
+    const applyRulesOnly = (enabled) => {
+        toggleEl.checked = enabled;
+        modelSelectEl.closest('.model-controls').classList.toggle('is-rules-only', enabled);
+    };
+
+    toggleEl.addEventListener('change', () => {
+        saveRulesOnly(toggleEl.checked)
+            .then((enabled) => {
+                updateModelStatus(enabled
+                    ? 'Rules only: checks use the built-in rules, not the model.'
+                    : MODEL_STATUS_MESSAGES.success(state.selectedModel));
+            })
+            .catch((error) => console.warn('TypeRight Side Panel: Unable to save rules-only mode:', error));
+    });
 
-            state.currentTabId = activeTab.id;
+    loadRulesOnly()
+        .then(applyRulesOnly)
+        .catch((error) => console.warn('TypeRight Side Panel: Unable to load rules-only mode:', error));
+    watchRulesOnly(applyRulesOnly);
+}
 
-            if (state.port) {
-                state.port.postMessage({
-                    action: 'registerTab',
-                    tabId: state.currentTabId,
-                });
+// Controls for the prompt preferences the background keeps per site and globally
+const PREFERENCE_CONTROLS = {
+    tone: { selectId: 'tone-select', siteDefaultId: 'tone-site-default' },
+    language: { selectId: 'language-select', siteDefaultId: 'language-site-default' },
+    template: { selectId: 'template-select', siteDefaultId: 'template-site-default' },
+};
 
-                state.port.postMessage({
-                    action: 'requestHistory',
-                    tabId: state.currentTabId,
-                });
+/**
+ * Each preference select changes the value used everywhere, unless its "This site"
+ * box is ticked; then it changes the default of the active tab's site
+ */
+function setupPreferenceControls() {
+    Object.entries(PREFERENCE_CONTROLS).forEach(([key, { selectId, siteDefaultId }]) => {
+        const selectEl = document.getElementById(selectId);
+        const siteDefaultEl = document.getElementById(siteDefaultId);
 
-                requestCaptureStatus();
-            }
+        if (!selectEl || !siteDefaultEl) {
+            return;
+        }
+
+        preferenceEls[key] = { selectEl, siteDefaultEl };
+
+        selectEl.addEventListener('change', () => {
+            postPreferenceMessage(key, { value: selectEl.value, forSite: siteDefaultEl.checked });
+        });
+
+        siteDefaultEl.addEventListener('change', () => {
+            postPreferenceMessage(key, { value: siteDefaultEl.checked ? selectEl.value : null, forSite: true });
         });
+    });
+
+    // Templates are edited on the options page
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[PROMPT_TEMPLATES_STORAGE_KEY] && state.port && state.currentTabId != null) {
+            state.port.postMessage({ action: 'requestPreference', tabId: state.currentTabId, preference: 'template' });
+        }
+    });
+}
+
+function postPreferenceMessage(key, { value, forSite }) {
+    if (!state.port || state.currentTabId == null) {
+        updateModelStatus('Not connected. Reopen the side panel and try again.', true);
+        return;
+    }
+
+    preferenceEls[key].selectEl.disabled = true;
+    preferenceEls[key].siteDefaultEl.disabled = true;
+    state.port.postMessage({
+        action: 'setPreference',
+        tabId: state.currentTabId,
+        preference: key,
+        value,
+        forSite,
+    });
+}
+
+function requestPreferenceLists() {
+    if (!state.port || state.currentTabId == null) {
+        return;
+    }
+
+    Object.keys(preferenceEls).forEach((key) => {
+        state.port.postMessage({ action: 'requestPreference', tabId: state.currentTabId, preference: key });
+    });
+}
+
+function handlePreferenceList(message) {
+    if (message.tabId != null && message.tabId !== state.currentTabId) {
+        return;
+    }
+
+    const options = Array.isArray(message.options) ? message.options : [];
+    state.preferences[message.preference] = { options, value: message.value || null };
+
+    const controls = preferenceEls[message.preference];
+    if (!controls) {
+        return;
+    }
+
+    const { selectEl, siteDefaultEl } = controls;
+    selectEl.innerHTML = '';
+    options.forEach((option) => selectEl.add(new Option(option.label, option.id)));
+    selectEl.value = message.value || '';
+    selectEl.disabled = false;
+
+    siteDefaultEl.checked = Boolean(message.siteValue);
+    siteDefaultEl.disabled = !message.site;
+
+    // A site rule from the options page can cover more than this origin
+    siteDefaultEl.parentElement.title = message.sitePattern && message.sitePattern !== message.site
+        ? `Set by the site rule for ${message.sitePattern}`
+        : `Use this ${message.preference} whenever the panel is open on this site`;
+
+    if (message.error) {
+        updateModelStatus(message.error, true);
+    }
+}
+
+function setupHistoryControls() {
+    historyMaxEntriesEl = document.getElementById('history-max-entries');
+    historyMaxAgeEl = document.getElementById('history-max-age');
+    historyStatusEl = document.getElementById('history-status');
+    const saveButton = document.getElementById('save-history-settings');
+    const clearButton = document.getElementById('clear-history');
+
+    if (!historyMaxEntriesEl || !historyMaxAgeEl || !historyStatusEl || !saveButton || !clearButton) {
+        console.warn('TypeRight Side Panel: History controls missing from DOM');
+        return;
+    }
+
+    saveButton.addEventListener('click', () => {
+        if (!historyMaxEntriesEl.reportValidity() || !historyMaxAgeEl.reportValidity()) {
+            return;
+        }
+
+        postHistoryMessage({
+            action: 'setHistorySettings',
+            retention: {
+                maxEntries: Number(historyMaxEntriesEl.value),
+                maxAgeDays: Number(historyMaxAgeEl.value),
+            },
+        }, 'Saving…');
+    });
+
+    clearButton.addEventListener('click', () => {
+        if (!window.confirm('Clear all saved TypeRight checks? This cannot be undone.')) {
+            return;
+        }
+
+        postHistoryMessage({ action: 'clearHistory' }, 'History cleared.');
+    });
+
+    document.getElementById('open-options')?.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    if (state.port) {
+        state.port.postMessage({ action: 'getHistorySettings' });
+    }
+}
+
+function postHistoryMessage(message, statusMessage) {
+    if (!state.port) {
+        updateHistoryStatus('Not connected. Reopen the side panel and try again.', true);
+        return;
+    }
+
+    try {
+        state.port.postMessage(message);
+        updateHistoryStatus(statusMessage);
     } catch (error) {
-        console.error('TypeRight Side Panel: Failed to sync active tab:', error);
+        updateHistoryStatus('Unable to update history. Please try again.', true);
     }
 }
 
-function upsertSuggestion(suggestion) {
-    if (!suggestion) {
+function handleHistorySettings(message) {
+    const retention = message.retention || {};
+
+    if (historyMaxEntriesEl && retention.maxEntries != null) {
+        historyMaxEntriesEl.value = String(retention.maxEntries);
+    }
+
+    if (historyMaxAgeEl && retention.maxAgeDays != null) {
+        historyMaxAgeEl.value = String(retention.maxAgeDays);
+    }
+
+    if (message.error) {
+        updateHistoryStatus(message.error, true);
+    } else if (historyStatusEl?.textContent === 'Saving…') {
+        updateHistoryStatus('History settings saved.');
+    }
+}
+
+function updateHistoryStatus(message, isError = false) {
+    if (!historyStatusEl) {
         return;
     }
 
-    const existingIndex = state.suggestions.findIndex(
-        (entry) => entry.timestamp === suggestion.timestamp && entry.elementId === suggestion.elementId
-    );
+    historyStatusEl.textContent = message || '';
+    historyStatusEl.classList.toggle('is-error', Boolean(isError));
+}
 
-    const updatedSuggestions = [suggestion, ...state.suggestions];
+function setupDictionaryControls() {
+    dictionaryTermsEl = document.getElementById('dictionary-terms');
+    ignoredChangesEl = document.getElementById('ignored-changes');
+    dictionaryStatusEl = document.getElementById('dictionary-status');
+    const saveButton = document.getElementById('save-dictionary');
+    const importButton = document.getElementById('import-dictionary');
+    const importInput = document.getElementById('import-dictionary-file');
+    const exportButton = document.getElementById('export-dictionary');
+
+    if (!dictionaryTermsEl || !ignoredChangesEl || !dictionaryStatusEl || !saveButton || !importButton || !importInput || !exportButton) {
+        console.warn('TypeRight Side Panel: Dictionary controls missing from DOM');
+        return;
+    }
 
-    if (existingIndex >= 0) {
-        updatedSuggestions.splice(existingIndex + 1, 1);
+    saveButton.addEventListener('click', () => {
+        postDictionary({ ...state.dictionary, terms: parseWordList(dictionaryTermsEl.value) }, 'Saving…');
+    });
+
+    ignoredChangesEl.addEventListener('click', (event) => {
+        const removeButton = event.target.closest('.btn-remove-ignored');
+        if (!removeButton) {
+            return;
+        }
+
+        const ignoredChanges = state.dictionary.ignoredChanges.filter((_, index) => index !== Number(removeButton.dataset.index));
+        postDictionary({ ...state.dictionary, ignoredChanges }, 'Saving…');
+    });
+
+    // Imported words are added to the saved ones; duplicates are dropped when saving
+    importButton.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) {
+            return;
+        }
+
+        try {
+            const terms = parseWordList(await file.text());
+            postDictionary({ ...state.dictionary, terms: [...state.dictionary.terms, ...terms] }, `Imported ${terms.length} ${terms.length === 1 ? 'word' : 'words'}.`);
+        } catch (error) {
+            updateDictionaryStatus(`Unable to read ${file.name}.`, true);
+        }
+    });
+
+    exportButton.addEventListener('click', () => {
+        const url = URL.createObjectURL(new Blob([formatWordList(state.dictionary.terms)], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'typeright-dictionary.txt';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    if (state.port) {
+        state.port.postMessage({ action: 'getDictionary' });
+    }
+}
+
+function postDictionary(dictionary, statusMessage) {
+    if (!state.port) {
+        updateDictionaryStatus('Not connected. Reopen the side panel and try again.', true);
+        return;
+    }
+
+    try {
+        state.port.postMessage({ action: 'setDictionary', dictionary });
+        updateDictionaryStatus(statusMessage);
+    } catch (error) {
+        updateDictionaryStatus('Unable to save the dictionary. Please try again.', true);
+    }
+}
+
+/**
+ * The scratchpad checks pasted text with the normal pipeline, independent of the active
+ * tab. After the first check, edits are checked again once typing pauses.
+ */
+function setupScratchpad() {
+    scratchpadTextEl = document.getElementById('scratchpad-text');
+    scratchpadStatusEl = document.getElementById('scratchpad-status');
+    const checkButton = document.getElementById('check-scratchpad');
+    const clearButton = document.getElementById('clear-scratchpad');
+
+    if (!scratchpadTextEl || !scratchpadStatusEl || !checkButton || !clearButton) {
+        console.warn('TypeRight Side Panel: Scratchpad controls missing from DOM');
+        return;
+    }
+
+    checkButton.addEventListener('click', () => checkScratchpad());
+    clearButton.addEventListener('click', () => {
+        clearTimeout(state.scratchpad.recheckTimer);
+        scratchpadTextEl.value = '';
+        state.scratchpad.lastCheckedText = null;
+        updateScratchpadStatus('');
+        scratchpadTextEl.focus();
+    });
+
+    scratchpadTextEl.addEventListener('input', scheduleScratchpadRecheck);
+    scratchpadTextEl.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            checkScratchpad();
+        }
+    });
+
+    loadSettings()
+        .then((settings) => {
+            state.scratchpad.typingDelay = settings.typingDelay;
+        })
+        .catch((error) => console.warn('TypeRight Side Panel: Unable to load settings:', error));
+    watchSettings((settings) => {
+        state.scratchpad.typingDelay = settings.typingDelay;
+    });
+
+    loadRedactionPatterns()
+        .then((patterns) => {
+            state.scratchpad.redactionPatterns = compileRedactionPatterns(patterns);
+        })
+        .catch((error) => console.warn('TypeRight Side Panel: Unable to load redaction patterns:', error));
+    watchRedactionPatterns((patterns) => {
+        state.scratchpad.redactionPatterns = compileRedactionPatterns(patterns);
+    });
+
+    if (state.port) {
+        state.port.postMessage({ action: 'requestScratchpadHistory' });
+    }
+}
+
+function scheduleScratchpadRecheck() {
+    clearTimeout(state.scratchpad.recheckTimer);
+
+    if (state.scratchpad.lastCheckedText == null) {
+        return;
+    }
+
+    state.scratchpad.recheckTimer = setTimeout(() => {
+        if (scratchpadTextEl.value.trim() && scratchpadTextEl.value.trim() !== state.scratchpad.lastCheckedText) {
+            checkScratchpad();
+        }
+    }, state.scratchpad.typingDelay);
+}
+
+function checkScratchpad() {
+    clearTimeout(state.scratchpad.recheckTimer);
+
+    const text = scratchpadTextEl.value.trim();
+    if (!text) {
+        updateScratchpadStatus('Type or paste some text to check.', true);
+        return;
+    }
+
+    if (!state.port) {
+        updateScratchpadStatus('Not connected. Reopen the side panel and try again.', true);
+        return;
+    }
+
+    // Like field text, secrets and personal data stay here; the values are put back when a revision is used
+    const { text: redactedText, redactions } = redactText(text, state.scratchpad.redactionPatterns);
+    const requestId = `scratchpad-${Date.now()}`;
+
+    state.scratchpad.requestId = requestId;
+    state.scratchpad.lastCheckedText = text;
+    state.scratchpad.redactions.set(requestId, redactions);
+
+    try {
+        state.port.postMessage({
+            action: 'checkScratchpad',
+            requestId,
+            text: redactedText,
+            redactions: redactions.map(({ placeholder, label }) => ({ placeholder, label })),
+        });
+        updateScratchpadStatus('Checking…');
+    } catch (error) {
+        updateScratchpadStatus('Unable to check right now. Please try again.', true);
+    }
+}
+
+function handleScratchpadProgress(message) {
+    if (message.requestId !== state.scratchpad.requestId) {
+        return;
+    }
+
+    const container = document.getElementById('scratchpad-results');
+    const existingCard = container?.querySelector('.suggestion-card.is-streaming');
+
+    updateScratchpadStatus(message.provisional ? 'Quick check done; waiting for the model…' : 'Receiving suggestion…');
+
+    if (existingCard && existingCard.classList.contains('is-provisional') !== Boolean(message.provisional)) {
+        existingCard.replaceWith(createStreamingCard({ ...message, elementId: 'scratchpad' }));
+    } else if (existingCard) {
+        existingCard.querySelector('.text-corrected').textContent = message.correctedText ?? '';
+    } else if (container) {
+        container.insertBefore(createStreamingCard({ ...message, elementId: 'scratchpad' }), container.firstChild);
+    }
+}
+
+function handleScratchpadResult(message) {
+    if (message.requestId !== state.scratchpad.requestId) {
+        return;
+    }
+
+    document.querySelector('#scratchpad-results .suggestion-card.is-streaming')?.remove();
+
+    if (message.error) {
+        updateScratchpadStatus(message.error, true);
+        return;
+    }
+
+    updateScratchpadStatus(message.entry.hasIssues ? 'Suggestion found.' : 'No issues found.');
+    setScratchpadHistory([message.entry, ...state.scratchpad.history]);
+}
+
+/**
+ * Keep as many results as the stored scratchpad history does, and the redacted
+ * values of those results and of the check in progress only
+ */
+function setScratchpadHistory(history) {
+    state.scratchpad.history = history.slice(0, SCRATCHPAD_HISTORY_MAX_ENTRIES);
+
+    const requestIds = new Set(state.scratchpad.history.map((entry) => entry.requestId));
+    state.scratchpad.redactions.forEach((redactions, requestId) => {
+        if (requestId !== state.scratchpad.requestId && !requestIds.has(requestId)) {
+            state.scratchpad.redactions.delete(requestId);
+        }
+    });
+
+    renderScratchpadResults();
+}
+
+function renderScratchpadResults() {
+    const container = document.getElementById('scratchpad-results');
+    if (!container) {
+        return;
+    }
+
+    const streamingCard = container.querySelector('.suggestion-card.is-streaming');
+    container.replaceChildren(...state.scratchpad.history.slice(0, 5).map(createSuggestionCard));
+    if (streamingCard) {
+        container.prepend(streamingCard);
+    }
+}
+
+/**
+ * Put a revision from a scratchpad card into the scratchpad, with redacted values restored
+ */
+function useScratchpadText(data, text) {
+    scratchpadTextEl.value = restoreRedactions(text, state.scratchpad.redactions.get(data.requestId));
+    scratchpadTextEl.focus();
+    scheduleScratchpadRecheck();
+}
+
+function updateScratchpadStatus(message, isError = false) {
+    if (!scratchpadStatusEl) {
+        return;
+    }
+
+    scratchpadStatusEl.textContent = message || '';
+    scratchpadStatusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+/**
+ * Ask the background to add a term or an ignored change and check the card's field again
+ */
+function requestDictionaryAddition(button, data, addition) {
+    if (!state.port) {
+        updateStatus('Not connected. Reopen the side panel and try again.', 'error');
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        state.port.postMessage({
+            action: 'addToDictionary',
+            tabId: data.tabId ?? state.currentTabId,
+            frameId: data.frameId ?? 0,
+            elementId: data.elementId,
+            timestamp: data.timestamp,
+            ...addition,
+        });
+    } catch (error) {
+        button.disabled = false;
+        updateStatus('Unable to update the dictionary right now. Please try again.', 'error');
+    }
+}
+
+function handleDictionary(message) {
+    state.dictionary = message.dictionary || { terms: [], ignoredChanges: [] };
+
+    if (dictionaryTermsEl) {
+        dictionaryTermsEl.value = state.dictionary.terms.join('\n');
+    }
+
+    if (ignoredChangesEl) {
+        ignoredChangesEl.innerHTML = state.dictionary.ignoredChanges.map((change, index) => `
+            <li>
+                <span class="ignored-change">${escapeHtml(change.original || '(nothing)')} → ${escapeHtml(change.replacement || '(nothing)')}</span>
+                <button type="button" class="btn-remove-ignored" data-index="${index}" title="Suggest this change again">Remove</button>
+            </li>
+        `).join('');
+    }
+
+    if (message.error) {
+        updateDictionaryStatus(message.error, true);
+    } else if (dictionaryStatusEl?.textContent === 'Saving…') {
+        updateDictionaryStatus('Dictionary saved.');
+    }
+}
+
+function updateDictionaryStatus(message, isError = false) {
+    if (!dictionaryStatusEl) {
+        return;
+    }
+
+    dictionaryStatusEl.textContent = message || '';
+    dictionaryStatusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+/**
+ * Category toggles and the minimum severity. Filters are stored, so every open panel
+ * and the background, which uses the minimum severity to decide whether a field has
+ * issues, follow changes.
+ */
+function setupIssueFilters() {
+    const categoriesEl = document.getElementById('issue-category-filters');
+    const severitySelect = document.getElementById('minimum-severity');
+
+    if (!categoriesEl || !severitySelect) {
+        console.warn('TypeRight Side Panel: Issue filter controls missing from DOM');
+        return;
+    }
+
+    categoriesEl.innerHTML = ISSUE_CATEGORIES.map((category) => `
+        <label class="issue-chip issue-filter" data-category="${category}">
+            <input type="checkbox" value="${category}" checked>
+            ${escapeHtml(formatIssueCategory(category))}
+        </label>
+    `).join('');
+    severitySelect.innerHTML = ISSUE_SEVERITIES.map((severity) => `
+        <option value="${severity}">${escapeHtml(formatIssueCategory(severity))}${severity === ISSUE_SEVERITIES[0] ? ' (everything)' : ' and above'}</option>
+    `).join('');
+
+    const saveFilters = (changes) => {
+        saveIssueFilters(changes).catch((error) => {
+            console.warn('TypeRight Side Panel: Unable to save issue filters:', error);
+        });
+    };
+
+    categoriesEl.addEventListener('change', () => {
+        saveFilters({
+            hiddenCategories: Array.from(categoriesEl.querySelectorAll('input:not(:checked)'), (input) => input.value),
+        });
+    });
+    severitySelect.addEventListener('change', () => saveFilters({ minimumSeverity: severitySelect.value }));
+
+    loadIssueFilters()
+        .then(applyIssueFilters)
+        .catch((error) => console.warn('TypeRight Side Panel: Unable to load issue filters:', error));
+    watchIssueFilters(applyIssueFilters);
+}
+
+function applyIssueFilters(filters) {
+    state.issueFilters = filters;
+
+    document.querySelectorAll('#issue-category-filters input').forEach((input) => {
+        input.checked = !filters.hiddenCategories.includes(input.value);
+    });
+
+    const severitySelect = document.getElementById('minimum-severity');
+    if (severitySelect) {
+        severitySelect.value = filters.minimumSeverity;
+    }
+
+    renderSuggestions(state.suggestions);
+    renderScratchpadResults();
+}
+
+function formatIssueCategory(category) {
+    return category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+/**
+ * Issues the model reported with a category, as opposed to older plain-text ones
+ */
+function getCategorizedIssues(issues) {
+    return (Array.isArray(issues) ? issues : []).filter((issue) => issue && typeof issue === 'object' && issue.category);
+}
+
+/**
+ * A card is hidden when every issue it reports is in a hidden category
+ */
+function isFilteredOut(data) {
+    const issues = getCategorizedIssues(data.issues);
+    const isNoIssues = Boolean(data.noIssues || data.hasIssues === false);
+
+    return !isNoIssues
+        && issues.length > 0
+        && issues.length === (data.issues || []).length
+        && issues.every((issue) => state.issueFilters.hiddenCategories.includes(issue.category));
+}
+
+/**
+ * Name the card after the kind of issue it reports, counting only issues that are shown
+ */
+function getSuggestionTitle(issues) {
+    const shown = getCategorizedIssues(issues).filter((issue) => !state.issueFilters.hiddenCategories.includes(issue.category)
+        && meetsMinimumSeverity(issue, state.issueFilters.minimumSeverity));
+    const categories = ISSUE_CATEGORIES.filter((category) => shown.some((issue) => issue.category === category));
+
+    if (categories.length === 0) {
+        return 'Grammar Suggestion';
+    }
+
+    return categories.length === 1
+        ? `${formatIssueCategory(categories[0])} Suggestion`
+        : `${shown.length} Suggestions`;
+}
+
+/**
+ * One coloured chip per issue. Issues below the minimum severity are dimmed, and issues
+ * in hidden categories are left out.
+ */
+function createIssueChipsHTML(issues) {
+    const chips = getCategorizedIssues(issues)
+        .filter((issue) => !state.issueFilters.hiddenCategories.includes(issue.category))
+        .map((issue) => {
+            const severity = getIssueSeverity(issue);
+            const change = issue.original || issue.replacement ? `${issue.original || '…'} → ${issue.replacement || '…'}` : '';
+            const title = `${formatIssueCategory(severity)} ${issue.category} issue${issue.explanation ? `: ${issue.explanation}` : ''}`;
+            const classes = ['issue-chip'];
+            if (!meetsMinimumSeverity(issue, state.issueFilters.minimumSeverity)) {
+                classes.push('is-below-minimum');
+            }
+
+            return `<span class="${classes.join(' ')}" data-category="${escapeHtml(issue.category)}" data-severity="${severity}" title="${escapeHtml(title).replace(/"/g, '&quot;')}">
+                <span class="issue-severity" aria-label="${severity} severity"></span>${escapeHtml(formatIssueCategory(issue.category))}${change ? ` <span class="issue-change">${escapeHtml(change)}</span>` : ''}
+            </span>`;
+        });
+
+    return chips.length > 0 ? `<div class="issue-chips">${chips.join('')}</div>` : '';
+}
+
+/**
+ * List the keyboard shortcuts as currently bound; Chrome's shortcut page changes them
+ */
+function setupShortcutList() {
+    const listEl = document.getElementById('shortcut-list');
+    const changeButton = document.getElementById('change-shortcuts');
+
+    if (!listEl || !changeButton) {
+        console.warn('TypeRight Side Panel: Shortcut controls missing from DOM');
+        return;
+    }
+
+    changeButton.addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    // Bindings may have changed on Chrome's page since the panel opened
+    listEl.closest('details')?.addEventListener('toggle', () => renderShortcutList(listEl));
+    renderShortcutList(listEl);
+}
+
+async function renderShortcutList(listEl) {
+    try {
+        const commands = await chrome.commands.getAll();
+        listEl.innerHTML = commands
+            .filter((command) => command.description)
+            .map((command) => `
+                <dt>${escapeHtml(command.description)}</dt>
+                <dd>${command.shortcut ? `<kbd>${escapeHtml(command.shortcut)}</kbd>` : 'Not set'}</dd>
+            `)
+            .join('');
+    } catch (error) {
+        console.warn('TypeRight Side Panel: Unable to list shortcuts:', error);
+    }
+}
+
+function syncActiveTab() {
+    try {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (chrome.runtime.lastError) {
+                console.warn('TypeRight Side Panel: Failed to query tabs:', chrome.runtime.lastError.message);
+                return;
+            }
+
+            const activeTab = tabs && tabs[0];
+            if (!activeTab) {
+                return;
+            }
+
+            state.currentTabId = activeTab.id;
+
+            if (state.port) {
+                state.port.postMessage({
+                    action: 'registerTab',
+                    tabId: state.currentTabId,
+                });
+
+                state.port.postMessage({
+                    action: 'requestHistory',
+                    tabId: state.currentTabId,
+                });
+
+                requestCaptureStatus();
+                requestPreferenceLists();
+            }
+        });
+    } catch (error) {
+        console.error('TypeRight Side Panel: Failed to sync active tab:', error);
+    }
+}
+
+function upsertSuggestion(suggestion) {
+    if (!suggestion) {
+        return;
+    }
+
+    const existingIndex = state.suggestions.findIndex(
+        (entry) => entry.timestamp === suggestion.timestamp && entry.elementId === suggestion.elementId
+    );
+
+    const updatedSuggestions = [suggestion, ...state.suggestions];
+
+    if (existingIndex >= 0) {
+        updatedSuggestions.splice(existingIndex + 1, 1);
+    }
+
+    renderSuggestions(updatedSuggestions);
+}
+
+/**
+ * A selection is redacted in the background; its values come with the check's
+ * messages and stay here, out of history
+ */
+function keepSelectionRedactions(message) {
+    if (Array.isArray(message.redactionValues) && message.data?.requestId) {
+        state.selectionRedactions.set(message.data.requestId, message.redactionValues);
+    }
+}
+
+function restoreSelectionText(text, requestId) {
+    return restoreRedactions(text, state.selectionRedactions.get(requestId) ?? []);
+}
+
+function pruneSelectionRedactions() {
+    const requestIds = new Set([
+        ...state.suggestions.map((entry) => entry.requestId),
+        ...Array.from(state.partialSuggestions.values(), (partial) => partial.requestId),
+    ]);
+    state.selectionRedactions.forEach((redactions, requestId) => {
+        if (!requestIds.has(requestId)) {
+            state.selectionRedactions.delete(requestId);
+        }
+    });
+}
+
+function renderSuggestions(suggestions) {
+    const container = document.getElementById('suggestions');
+    if (!container) {
+        return;
+    }
+
+    if (!Array.isArray(suggestions)) {
+        suggestions = [];
+    }
+
+    state.suggestions = suggestions.slice(0, 10);
+    pruneSelectionRedactions();
+
+    container.innerHTML = '';
+    state.partialSuggestions.forEach((partial) => {
+        container.appendChild(createStreamingCard(partial));
+    });
+
+    if (state.suggestions.length === 0 && state.partialSuggestions.size > 0) {
+        state.currentSuggestion = null;
+        return;
+    }
+
+    if (state.suggestions.length === 0) {
+        container.appendChild(createEmptyState());
+        state.currentSuggestion = null;
+        updateStatus('Ready to check your writing', 'ready');
+        updateIssueFilterStatus(0);
+        return;
+    }
+
+    let latestEntry = null;
+
+    state.suggestions.forEach((entry, index) => {
+        const card = createSuggestionCard(entry);
+        container.appendChild(card);
+
+        if (index === 0) {
+            state.currentSuggestion = entry;
+            state.currentTabId = entry.tabId ?? state.currentTabId;
+            latestEntry = entry;
+        }
+    });
+
+    if (latestEntry?.noIssues || latestEntry?.hasIssues === false) {
+        updateStatus('No issues found', 'ready');
+    } else {
+        updateStatus('Suggestion found!', 'ready');
+    }
+
+    updateIssueFilterStatus(state.suggestions.filter(isFilteredOut).length);
+}
+
+function updateIssueFilterStatus(hiddenCount) {
+    const statusEl = document.getElementById('issue-filter-status');
+    if (!statusEl) {
+        return;
+    }
+
+    statusEl.textContent = hiddenCount > 0
+        ? `${hiddenCount} suggestion${hiddenCount === 1 ? '' : 's'} hidden by the category filters.`
+        : '';
+}
+
+function createSuggestionCard(data) {
+    const {
+        originalText,
+        correctedText,
+        summary,
+        suggestion,
+    } = data;
+
+    // A selection's card shows and copies its redacted values while the panel still has them
+    const selectionRedactions = data.source === 'selection' ? state.selectionRedactions.get(data.requestId) : null;
+    const isNoIssues = Boolean(data.noIssues || data.hasIssues === false);
+    const displayOriginal = restoreRedactions(originalText, selectionRedactions ?? []);
+    const displayRevisedRaw = correctedText ?? '';
+    const showRevisedSection = !isNoIssues && displayRevisedRaw.trim().length > 0;
+    const displayRevised = showRevisedSection ? restoreRedactions(displayRevisedRaw, selectionRedactions ?? []) : '';
+    const alternative = data.alternative ? restoreRedactions(data.alternative, selectionRedactions ?? []) : data.alternative;
+
+    const card = document.createElement('div');
+    card.className = 'suggestion-card';
+    if (typeof data.timestamp === 'number') {
+        card.dataset.timestamp = String(data.timestamp);
+    }
+    if (data.elementId) {
+        card.dataset.elementId = data.elementId;
+    }
+
+    if (isNoIssues) {
+        card.classList.add('no-issues-card');
+    }
+
+    if (getSuggestionKey(data) === state.selectedSuggestionKey) {
+        card.classList.add('is-selected');
+    }
+
+    card.hidden = isFilteredOut(data);
+
+    const timeString = new Date(data.timestamp || Date.now()).toLocaleTimeString();
+
+    const toneLabel = TONE_PRESETS[data.tone]?.label || '';
+
+    let alternativeHTML = '';
+    if (alternative) {
+        alternativeHTML = `
+            <div class="text-section text-section-alternative">
+                <div class="text-label">
+                    <span>${toneLabel && data.tone !== DEFAULT_TONE ? `${escapeHtml(toneLabel)} Alternative` : 'Alternative Suggestion'} <span class="hunk-summary" data-kind="alternative"></span></span>
+                    <a href="#" class="copy-link copy-link-alt" data-kind="alternative">Copy</a>
+                </div>
+                <div class="text-content" data-kind="alternative">${escapeHtml(alternative)}</div>
+            </div>
+        `;
+    }
+
+    let summaryHTML = '';
+    if (summary) {
+        summaryHTML = `
+            <div class="explanation">
+                <strong>Summary:</strong> ${escapeHtml(summary)}
+            </div>
+        `;
+    }
+
+    const segmentHTML = createSegmentOverviewHTML(data.segments);
+    const metricsHTML = createMetricsHTML(displayOriginal, showRevisedSection ? displayRevised : null, data.language);
+    const redactionHTML = createRedactionNoticeHTML(
+        data.redactions,
+        showRevisedSection ? displayRevisedRaw : null,
+        getRedactionRestoreNote(data, selectionRedactions),
+    );
+
+    const titleText = isNoIssues ? 'No issues found' : getSuggestionTitle(data.issues);
+    const originalLabel = data.source === 'selection' ? 'Selected Text' : 'Original Text';
+    const bannerHTML = isNoIssues
+        ? `<div class="no-issues-banner">
+                        ${escapeHtml(suggestion || 'Your text looks good! No grammar issues found.')}
+                    </div>`
+        : '';
+
+    let revisedSection = '';
+    if (showRevisedSection) {
+        revisedSection = `
+        <div class="text-section">
+            <div class="text-label label-corrected">
+                <span>Revised <span class="hunk-summary" data-kind="revision"></span></span>
+                <a href="#" class="copy-link" data-kind="revision">Copy</a>
+            </div>
+            <div class="text-content text-corrected" data-kind="revision">${escapeHtml(displayRevised)}</div>
+        </div>
+        `;
+    }
+
+    const revisionChanges = showRevisedSection
+        ? computeWordDiff(displayOriginal, displayRevised)
+            .filter((segment) => segment.type !== 'equal')
+            .map((segment) => ({ original: segment.original.trim(), replacement: segment.revised.trim() }))
+        : [];
+
+    const isScratchpad = data.source === 'scratchpad';
+    const canApply = !isNoIssues && (isScratchpad || (Boolean(data.elementId) && data.requestId != null));
+    const applyVerb = isScratchpad ? 'Use' : 'Apply';
+    let applyHTML = '';
+    if (canApply && (showRevisedSection || alternative)) {
+        applyHTML = `
+        <div class="apply-actions">
+            ${showRevisedSection ? `<button type="button" class="btn-apply" data-kind="revision">${applyVerb} revision</button>` : ''}
+            ${alternative ? `<button type="button" class="btn-apply btn-apply-alt" data-kind="alternative">${applyVerb} alternative</button>` : ''}
+            <button type="button" class="btn-undo" hidden>Undo</button>
+        </div>
+        <div class="apply-status" hidden></div>
+        `;
+    }
+
+    card.innerHTML = `
+        <div class="suggestion-header">
+            <span class="suggestion-title">${titleText}</span>
+            <span class="suggestion-meta">
+                ${createLanguageBadgeHTML(data.language)}
+                ${toneLabel ? `<span class="tone-badge" title="Tone of the alternative">${escapeHtml(toneLabel)}</span>` : ''}
+                ${createTemplateBadgeHTML(data.promptTemplate, data.promptVersion)}
+                ${data.fromCache ? '<span class="cache-badge" title="Served from the result cache without asking the model">Cached</span>' : ''}
+                ${data.rulesOnly ? '<span class="cache-badge" title="Checked with the built-in rules only, without the model">Rules only</span>' : ''}
+                ${showRevisedSection || alternative ? `<button type="button" class="btn-view-toggle">${state.showDiff ? 'Plain view' : 'Diff view'}</button>` : ''}
+                <span class="suggestion-time">${timeString}</span>
+            </span>
+        </div>
+        ${bannerHTML}
+        ${createIssueChipsHTML(data.issues)}
+        ${redactionHTML}
+        ${segmentHTML}
+        <div class="text-section">
+            <div class="text-label label-original">
+                ${originalLabel}
+            </div>
+            <div class="text-content text-original">${escapeHtml(displayOriginal)}</div>
+        </div>
+        ${revisedSection}
+        ${alternativeHTML}
+    
+        ${summaryHTML}
+
+        ${metricsHTML}
+    
+        ${applyHTML}
+
+        ${data.elementId ? createDictionaryPanelHTML(revisionChanges) : ''}
+
+        <div class="actions">
+            ${data.elementId ? createFieldLanguageSelectHTML(data.language) : ''}
+            ${data.elementId && revisionChanges.length > 0 ? '<button type="button" class="btn-dictionary" aria-expanded="false" title="Keep words as written or ignore changes like these">Dictionary</button>' : ''}
+            ${data.elementId ? '<button type="button" class="btn-recheck" title="Ask the model again, skipping cached results">Re-check</button>' : ''}
+            <button class="btn-dismiss">Dismiss</button>
+        </div>
+    `;
+
+    const dismissBtn = card.querySelector('.btn-dismiss');
+
+    // Opening or closing the figures on one card does the same on cards rendered later
+    card.querySelector('.metrics-panel')?.addEventListener('toggle', (event) => {
+        state.showMetrics = event.target.open;
+    });
+    const copyLinks = card.querySelectorAll('.copy-link');
+    const comparisons = {
+        revision: showRevisedSection ? computeWordDiff(displayOriginal, displayRevised) : null,
+        alternative: alternative ? computeWordDiff(displayOriginal, alternative) : null,
+    };
+
+    Object.entries(comparisons).forEach(([kind, segments]) => {
+        if (segments) {
+            renderComparison(card, data, kind, segments);
+        }
+    });
+
+    card.querySelectorAll('.text-content[data-kind]').forEach((contentEl) => {
+        const kind = contentEl.dataset.kind;
+        const toggleFromEvent = (event) => {
+            const hunkEl = event.target.closest('.diff-hunk');
+            if (!hunkEl || !comparisons[kind]) {
+                return;
+            }
+
+            event.preventDefault();
+            toggleHunk(data, kind, Number(hunkEl.dataset.hunkIndex));
+            renderComparison(card, data, kind, comparisons[kind]);
+        };
+
+        contentEl.addEventListener('click', toggleFromEvent);
+        contentEl.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                toggleFromEvent(event);
+            }
+        });
+    });
+
+    const viewToggle = card.querySelector('.btn-view-toggle');
+    if (viewToggle) {
+        viewToggle.addEventListener('click', () => {
+            state.showDiff = !state.showDiff;
+            renderSuggestions(state.suggestions);
+            renderScratchpadResults();
+        });
+    }
+
+    copyLinks.forEach(copyLink => {
+        copyLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            const textToCopy = copyLink.getAttribute('data-text') ?? '';
+            copyToClipboard(textToCopy);
+            const originalLabel = copyLink.dataset.originalText ?? copyLink.textContent;
+            copyLink.dataset.originalText = originalLabel;
+            copyLink.textContent = 'Copied';
+            copyLink.classList.add('is-copied');
+            setTimeout(() => {
+                copyLink.textContent = copyLink.dataset.originalText || 'Copy';
+                delete copyLink.dataset.originalText;
+                copyLink.classList.remove('is-copied');
+            }, 1500);
+        });
+    });
+
+    card.querySelectorAll('.btn-apply').forEach((applyButton) => {
+        applyButton.addEventListener('click', () => {
+            const kind = applyButton.dataset.kind;
+            const keptText = buildKeptText(data, kind, comparisons[kind]);
+
+            if (keptText.trim() === displayOriginal.trim()) {
+                setApplyStatus(card, 'Every change is rejected, so there is nothing to apply.', true);
+                return;
+            }
+
+            if (isScratchpad) {
+                useScratchpadText(data, keptText);
+                return;
+            }
+
+            requestApply(card, data, kind, keptText);
+        });
+    });
+
+    const undoButton = card.querySelector('.btn-undo');
+    if (undoButton) {
+        undoButton.addEventListener('click', () => requestUndo(card, data));
+    }
+
+    updateApplyControls(card, data);
+
+    if (isScratchpad && !hasScratchpadRedactions(data)) {
+        setApplyButtonsDisabled(card, true);
+        setApplyStatus(card, 'The redacted values were not kept after the panel closed. Check the text again to use a revision.');
+    }
+
+    const recheckButton = card.querySelector('.btn-recheck');
+    if (recheckButton) {
+        recheckButton.addEventListener('click', () => requestRecheck(recheckButton, data));
+    }
+
+    const dictionaryButton = card.querySelector('.btn-dictionary');
+    const dictionaryPanel = card.querySelector('.card-dictionary');
+    if (dictionaryButton && dictionaryPanel) {
+        dictionaryButton.addEventListener('click', () => {
+            dictionaryPanel.hidden = !dictionaryPanel.hidden;
+            dictionaryButton.setAttribute('aria-expanded', String(!dictionaryPanel.hidden));
+        });
+
+        dictionaryPanel.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-index]');
+            if (!button) {
+                return;
+            }
+
+            const change = revisionChanges[Number(button.dataset.index)];
+            requestDictionaryAddition(button, data, button.classList.contains('btn-keep-original')
+                ? { term: change.original }
+                : { ignoredChange: change });
+        });
+    }
+
+    const languageSelect = card.querySelector('.card-language');
+    if (languageSelect) {
+        languageSelect.addEventListener('change', () => requestRecheck(languageSelect, data, {
+            action: 'setFieldLanguage',
+            language: languageSelect.value,
+        }));
+    }
+
+    dismissBtn.addEventListener('click', () => {
+        if (state.port) {
+            try {
+                state.port.postMessage({
+                    action: 'dismissEntry',
+                    timestamp: data.timestamp,
+                    elementId: data.elementId,
+                });
+            } catch (error) {
+                console.error('TypeRight Side Panel: Failed to notify background about dismissal:', error);
+            }
+        }
+
+        card.style.animation = 'slideOut 0.3s ease-out';
+        setTimeout(() => {
+            card.remove();
+
+            state.suggestions = state.suggestions.filter((entry) => {
+                const sameTimestamp = entry.timestamp === data.timestamp;
+                const sameElement = entry.elementId === data.elementId;
+                return !(sameTimestamp && sameElement);
+            });
+
+            const container = document.getElementById('suggestions');
+            if (container && container.children.length === 0) {
+                state.currentSuggestion = null;
+                state.currentTabId = null;
+                container.appendChild(createEmptyState());
+                updateStatus('Ready to check your writing', 'ready');
+            }
+        }, 300);
+    });
+
+    return card;
+}
+
+/**
+ * Which prompt template revision produced a result, so results can be compared
+ * across revisions. Results of the built-in template show no badge.
+ */
+function createTemplateBadgeHTML(promptTemplate, promptVersion) {
+    if (!promptTemplate || promptTemplate.id === DEFAULT_PROMPT_TEMPLATE.id) {
+        return '';
+    }
+
+    const title = `Prompt template ${promptTemplate.name}, version ${promptTemplate.version}${promptVersion ? `; built-in prompt version ${promptVersion}` : ''}`;
+    return `<span class="tone-badge template-badge" title="${escapeHtml(title).replace(/"/g, '&quot;')}">${escapeHtml(promptTemplate.name)} v${promptTemplate.version}</span>`;
+}
+
+// How the language of a check was chosen, for the badge tooltip
+const LANGUAGE_SOURCES = {
+    field: 'Pinned for this field',
+    attribute: 'From the field\'s lang attribute',
+    site: 'Default for this site',
+    selected: 'Selected in the side panel',
+    detected: 'Detected from the text',
+};
+
+function createLanguageBadgeHTML(language) {
+    if (!language) {
+        return '';
+    }
+
+    const label = language.code ? getLanguageName(language.code) : 'Language unsure';
+    const title = language.code ? LANGUAGE_SOURCES[language.source] : 'Detection was unsure, so the model was asked to keep the text\'s own language';
+    return `<span class="language-badge" title="${escapeHtml(title || '')}">${escapeHtml(label)}</span>`;
+}
+
+/**
+ * Lets the user pin the language of a card's field; changing it checks the field again
+ */
+function createFieldLanguageSelectHTML(language) {
+    const pinnedCode = language?.source === 'field' ? language.code : AUTO_LANGUAGE;
+    const codes = PINNABLE_LANGUAGES.includes(pinnedCode) || pinnedCode === AUTO_LANGUAGE
+        ? PINNABLE_LANGUAGES
+        : [pinnedCode, ...PINNABLE_LANGUAGES];
+    const options = codes.map((code) => `<option value="${code}" ${code === pinnedCode ? 'selected' : ''}>${escapeHtml(getLanguageName(code))}</option>`);
+
+    return `
+        <select class="card-language" title="Language to check this field in">
+            <option value="${AUTO_LANGUAGE}" ${pinnedCode === AUTO_LANGUAGE ? 'selected' : ''}>Detect language</option>
+            ${options.join('')}
+        </select>
+    `;
+}
+
+/**
+ * One row per change in the revision, with buttons to protect the original words
+ * or to stop suggesting that change
+ */
+function createDictionaryPanelHTML(changes) {
+    if (changes.length === 0) {
+        return '';
+    }
+
+    const rows = changes.map(({ original, replacement }, index) => `
+        <li>
+            <span class="ignored-change">${escapeHtml(original || '(nothing)')} → ${escapeHtml(replacement || '(nothing)')}</span>
+            ${original ? `<button type="button" class="btn-keep-original" data-index="${index}" title="Add the original words to your dictionary">Keep original</button>` : ''}
+            <button type="button" class="btn-ignore-change" data-index="${index}" title="Stop suggesting this change">Ignore this change</button>
+        </li>
+    `);
+
+    return `
+        <div class="card-dictionary" hidden>
+            <ul class="dictionary-changes">${rows.join('')}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Whether using a scratchpad result can put its redacted values back. The panel keeps
+ * them for its own checks only, so results loaded from history after reopening cannot.
+ */
+function hasScratchpadRedactions(data) {
+    return !Array.isArray(data.redactions) || data.redactions.length === 0 || state.scratchpad.redactions.has(data.requestId);
+}
+
+/**
+ * How a card's redacted values come back: a field's content script restores them on
+ * apply, while the panel keeps a selection's or the scratchpad's only while it is open
+ */
+function getRedactionRestoreNote(data, selectionRedactions) {
+    if (data.source === 'selection') {
+        return selectionRedactions
+            ? 'The card shows and copies the original values.'
+            : 'The original values were not kept after the panel closed, so copying keeps the placeholders.';
+    }
+
+    if (data.source === 'scratchpad') {
+        return hasScratchpadRedactions(data)
+            ? 'Using a revision puts the original values back.'
+            : 'The original values were not kept after the panel closed.';
+    }
+
+    return 'Applying puts the original values back.';
+}
+
+/**
+ * Say what was replaced with placeholders before the text was sent, and warn when
+ * the revision lost a placeholder, since applying it would then drop that value
+ */
+function createRedactionNoticeHTML(redactions, revisedText, restoreNote) {
+    if (!Array.isArray(redactions) || redactions.length === 0) {
+        return '';
+    }
+
+    const counts = new Map();
+    redactions.forEach(({ label }) => counts.set(label, (counts.get(label) || 0) + 1));
+
+    const summary = Array.from(counts, ([label, count]) => (count > 1 ? `${label} (${count})` : label)).join(', ');
+    const placeholders = redactions.map(({ placeholder, label }) => `${placeholder} ${label}`).join('\n');
+    const missing = revisedText == null
+        ? []
+        : redactions.filter(({ placeholder }) => !revisedText.includes(placeholder)).map(({ placeholder }) => placeholder);
+
+    return `
+        <div class="redaction-notice" title="${escapeHtml(placeholders)}">
+            <span>Redacted before checking: ${escapeHtml(summary)}. ${escapeHtml(restoreNote)}</span>
+            ${missing.length > 0 ? `<span class="redaction-warning">The revision dropped ${escapeHtml(missing.join(', '))}; review it before applying.</span>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Long drafts are checked paragraph by paragraph; show which paragraphs were
+ * re-checked and which have issues, in document order
+ */
+function createSegmentOverviewHTML(segments) {
+    if (!Array.isArray(segments) || segments.length < 2) {
+        return '';
+    }
+
+    const recheckedCount = segments.filter((segment) => !segment.reused).length;
+    const issueCount = segments.filter((segment) => segment.hasIssues).length;
+    const cells = segments.map((segment, index) => {
+        const classes = ['segment-cell'];
+        const details = [`Part ${index + 1}`, segment.hasIssues ? 'has issues' : 'no issues'];
+
+        if (segment.hasIssues) {
+            classes.push('has-issues');
+        }
+
+        if (segment.reused) {
+            classes.push('is-reused');
+            details.push('unchanged since the last check');
+        }
+
+        return `<span class="${classes.join(' ')}" title="${escapeHtml(details.join(', '))}"></span>`;
+    }).join('');
+
+    return `
+        <div class="segment-overview">
+            <span>${segments.length} parts · ${recheckedCount} checked now · ${issueCount} with issues</span>
+            <div class="segment-map">${cells}</div>
+        </div>
+    `;
+}
+
+/**
+ * Readability figures computed here rather than by the model, side by side for the
+ * original and the revision so the two can be compared
+ */
+function createMetricsHTML(originalText, revisedText, language) {
+    const original = computeTextMetrics(originalText);
+    if (original.wordCount === 0) {
+        return '';
+    }
+
+    const revised = revisedText ? computeTextMetrics(revisedText) : null;
+    const formatCell = (row, metrics) => {
+        const value = row.value(metrics);
+        return value == null ? '–' : escapeHtml(row.format(value, metrics));
+    };
+
+    const rows = METRIC_ROWS.map((row) => {
+        let change = '';
+        if (revised) {
+            const before = row.value(original);
+            const after = row.value(revised);
+            if (before != null && after != null && Math.abs(after - before) >= 0.05) {
+                change = (after > before) === (row.better === 'higher') ? 'is-better' : 'is-worse';
+            }
+        }
+
+        return `
+            <tr>
+                <th scope="row"${row.title ? ` title="${escapeHtml(row.title).replace(/"/g, '&quot;')}"` : ''}>${escapeHtml(row.label)}</th>
+                <td>${formatCell(row, original)}</td>
+                ${revised ? `<td class="${change}">${formatCell(row, revised)}</td>` : ''}
+            </tr>
+        `;
+    }).join('');
+
+    const headline = revised
+        ? `Reading ease ${original.readingEase.toFixed(0)} → ${revised.readingEase?.toFixed(0) ?? '–'}`
+        : `Reading ease ${original.readingEase.toFixed(0)}`;
+    const englishNote = language?.code && language.code !== 'en'
+        ? '<div class="metrics-note">These figures use English rules, so treat them as rough for this language.</div>'
+        : '';
+
+    return `
+        <details class="metrics-panel"${state.showMetrics ? ' open' : ''}>
+            <summary>Readability <span class="hunk-summary">${escapeHtml(headline)}</span></summary>
+            <table class="metrics-table">
+                <thead>
+                    <tr><th></th><th scope="col">Original</th>${revised ? '<th scope="col">Revised</th>' : ''}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${englishNote}
+        </details>
+    `;
+}
+
+function getRejectedHunks(data, kind) {
+    const key = `${getSuggestionKey(data)}:${kind}`;
+
+    if (!state.rejectedHunks.has(key)) {
+        state.rejectedHunks.set(key, new Set());
+    }
+
+    return state.rejectedHunks.get(key);
+}
+
+function toggleHunk(data, kind, hunkIndex) {
+    const rejected = getRejectedHunks(data, kind);
+
+    if (rejected.has(hunkIndex)) {
+        rejected.delete(hunkIndex);
+    } else {
+        rejected.add(hunkIndex);
+    }
+}
+
+/**
+ * Build the text to copy or apply from the hunks the user kept
+ */
+function buildKeptText(data, kind, segments) {
+    if (!segments) {
+        return '';
+    }
+
+    const rejected = getRejectedHunks(data, kind);
+    return segments
+        .map((segment, index) => (rejected.has(index) ? segment.original : segment.revised))
+        .join('');
+}
+
+function renderComparison(card, data, kind, segments) {
+    const contentEl = card.querySelector(`.text-content[data-kind="${kind}"]`);
+    if (!contentEl) {
+        return;
+    }
+
+    const rejected = getRejectedHunks(data, kind);
+    const keptText = buildKeptText(data, kind, segments);
+    const hunkCount = segments.filter((segment) => segment.type !== 'equal').length;
+    const keptCount = hunkCount - rejected.size;
+
+    contentEl.classList.toggle('diff-view', state.showDiff);
+    if (state.showDiff) {
+        contentEl.innerHTML = renderDiffHTML(segments, rejected);
+    } else {
+        contentEl.textContent = keptText;
+    }
+
+    const copyLink = card.querySelector(`.copy-link[data-kind="${kind}"]`);
+    if (copyLink) {
+        copyLink.dataset.text = keptText;
+    }
+
+    const summaryEl = card.querySelector(`.hunk-summary[data-kind="${kind}"]`);
+    if (summaryEl) {
+        summaryEl.textContent = hunkCount > 0 && state.showDiff
+            ? `(${keptCount} of ${hunkCount} ${hunkCount === 1 ? 'change' : 'changes'} kept)`
+            : '';
+    }
+}
+
+function renderDiffHTML(segments, rejected) {
+    return segments.map((segment, index) => {
+        if (segment.type === 'equal') {
+            return escapeHtml(segment.revised);
+        }
+
+        const isRejected = rejected.has(index);
+        const removed = segment.original
+            ? `<del class="diff-delete">${escapeHtml(segment.original)}</del>`
+            : '';
+        const added = segment.revised
+            ? `<ins class="diff-insert">${escapeHtml(segment.revised)}</ins>`
+            : '';
+        const title = isRejected
+            ? 'Rejected. Click to keep this change.'
+            : 'Kept. Click to reject this change.';
+
+        return `<span class="diff-hunk diff-${segment.type}${isRejected ? ' is-rejected' : ''}" data-hunk-index="${index}" role="button" tabindex="0" title="${title}">${removed}${added}</span>`;
+    }).join('');
+}
+
+/**
+ * Keyboard shortcuts that act on cards, forwarded by the background worker
+ */
+function handleCommand(message) {
+    const cards = Array.from(document.querySelectorAll('.suggestion-card:not(.is-streaming)'));
+
+    if (message.command === 'next-suggestion') {
+        // Cards hidden by the issue filters are skipped
+        const shownCards = cards.filter((card) => !card.hidden);
+        if (shownCards.length === 0) {
+            updateStatus('There are no suggestions to go through yet.', 'error');
+            return;
+        }
+
+        const selectedIndex = shownCards.findIndex((card) => card.classList.contains('is-selected'));
+        const nextCard = shownCards[(selectedIndex + 1) % shownCards.length];
+
+        cards.forEach((card) => card.classList.toggle('is-selected', card === nextCard));
+        state.selectedSuggestionKey = `${nextCard.dataset.timestamp}:${nextCard.dataset.elementId ?? ''}`;
+        nextCard.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    } else if (message.command === 'apply-revision') {
+        // Cards are listed newest first
+        const applyButton = cards.find((card) => card.dataset.elementId === message.elementId)
+            ?.querySelector('.btn-apply[data-kind="revision"]');
+
+        if (!applyButton || applyButton.disabled) {
+            updateStatus('There is no revision to apply to this field.', 'error');
+            return;
+        }
+
+        applyButton.click();
+    }
+}
+
+function getSuggestionKey(entry) {
+    return `${entry?.timestamp}:${entry?.elementId ?? ''}`;
+}
+
+function findSuggestionCard(timestamp, elementId) {
+    return Array.from(document.querySelectorAll('.suggestion-card')).find((card) => (
+        card.dataset.timestamp === String(timestamp)
+        && (card.dataset.elementId ?? '') === (elementId ?? '')
+    )) || null;
+}
+
+function requestApply(card, data, kind, text) {
+    if (!state.port) {
+        setApplyStatus(card, 'Not connected. Reopen the side panel and try again.', true);
+        return;
+    }
+
+    setApplyButtonsDisabled(card, true);
+    setApplyStatus(card, kind === 'alternative' ? 'Applying alternative…' : 'Applying revision…');
+
+    try {
+        state.port.postMessage({
+            action: 'applySuggestion',
+            tabId: data.tabId ?? state.currentTabId,
+            frameId: data.frameId ?? 0,
+            elementId: data.elementId,
+            timestamp: data.timestamp,
+            requestId: data.requestId,
+            requestVersion: data.requestVersion,
+            originalText: data.originalText,
+            kind,
+            text,
+        });
+    } catch (error) {
+        setApplyButtonsDisabled(card, false);
+        setApplyStatus(card, 'Unable to apply the suggestion. Please try again.', true);
+    }
+}
+
+function requestUndo(card, data) {
+    const appliedEdit = state.appliedEdits.get(getSuggestionKey(data));
+
+    if (!state.port || !appliedEdit) {
+        setApplyStatus(card, 'There is nothing to undo for this suggestion.', true);
+        return;
+    }
+
+    setApplyButtonsDisabled(card, true);
+    setApplyStatus(card, 'Restoring the original text…');
+
+    try {
+        state.port.postMessage({
+            action: 'undoApply',
+            tabId: data.tabId ?? state.currentTabId,
+            frameId: data.frameId ?? 0,
+            elementId: data.elementId,
+            timestamp: data.timestamp,
+            undoToken: appliedEdit.undoToken,
+        });
+    } catch (error) {
+        setApplyButtonsDisabled(card, false);
+        setApplyStatus(card, 'Unable to undo right now. Please try again.', true);
+    }
+}
+
+function requestRecheck(button, data, extraFields = {}) {
+    if (!state.port) {
+        updateStatus('Not connected. Reopen the side panel and try again.', 'error');
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        state.port.postMessage({
+            action: 'recheck',
+            tabId: data.tabId ?? state.currentTabId,
+            frameId: data.frameId ?? 0,
+            elementId: data.elementId,
+            timestamp: data.timestamp,
+            ...extraFields,
+        });
+    } catch (error) {
+        button.disabled = false;
+        updateStatus('Unable to re-check right now. Please try again.', 'error');
+    }
+}
+
+function handleRecheckResult(message) {
+    findSuggestionCard(message.timestamp, message.elementId)?.querySelectorAll('.btn-recheck, .card-language')
+        .forEach((control) => {
+            control.disabled = false;
+        });
+
+    if (message.success) {
+        updateStatus(message.bypassCache === false ? 'Re-checking…' : 'Re-checking without the cache…', 'working');
+    } else {
+        updateStatus(escapeHtml(message.error || 'The field could not be re-checked.'), 'error');
+    }
+}
+
+function handleApplyResult(message) {
+    const key = getSuggestionKey(message);
+
+    if (message.success) {
+        state.appliedEdits.set(key, { kind: message.kind, undoToken: message.undoToken });
+    }
+
+    const card = findSuggestionCard(message.timestamp, message.elementId);
+    if (!card) {
+        return;
     }
 
-    renderSuggestions(updatedSuggestions);
+    updateApplyControls(card, message);
+
+    if (!message.success) {
+        setApplyStatus(card, message.error || 'The suggestion could not be applied.', true);
+    }
 }
 
-function renderSuggestions(suggestions) {
-    const container = document.getElementById('suggestions');
-    if (!container) {
-        return;
+function handleUndoResult(message) {
+    if (message.success) {
+        state.appliedEdits.delete(getSuggestionKey(message));
     }
 
-    if (!Array.isArray(suggestions)) {
-        suggestions = [];
+    const card = findSuggestionCard(message.timestamp, message.elementId);
+    if (!card) {
+        return;
     }
 
-    state.suggestions = suggestions.slice(0, 10);
+    updateApplyControls(card, message);
 
-    container.innerHTML = '';
+    if (message.success) {
+        setApplyStatus(card, 'Original text restored.');
+    } else {
+        setApplyStatus(card, message.error || 'The original text could not be restored.', true);
+    }
+}
 
-    if (state.suggestions.length === 0) {
-        container.appendChild(createEmptyState());
-        state.currentSuggestion = null;
-        updateStatus('Ready to check your writing', 'ready');
+function updateApplyControls(card, entry) {
+    const undoButton = card.querySelector('.btn-undo');
+    if (!undoButton) {
         return;
     }
 
-    let latestEntry = null;
-
-    state.suggestions.forEach((entry, index) => {
-        const card = createSuggestionCard(entry);
-        container.appendChild(card);
+    const appliedEdit = state.appliedEdits.get(getSuggestionKey(entry));
 
-        if (index === 0) {
-            state.currentSuggestion = entry;
-            state.currentTabId = entry.tabId ?? state.currentTabId;
-            latestEntry = entry;
-        }
+    undoButton.hidden = !appliedEdit;
+    setApplyButtonsDisabled(card, false);
+    card.querySelectorAll('.btn-apply').forEach((applyButton) => {
+        applyButton.hidden = Boolean(appliedEdit);
     });
 
-    if (latestEntry?.noIssues || latestEntry?.hasIssues === false) {
-        updateStatus('No issues found', 'ready');
+    if (appliedEdit) {
+        setApplyStatus(card, appliedEdit.kind === 'alternative' ? 'Alternative applied to the field.' : 'Revision applied to the field.');
     } else {
-        updateStatus('Suggestion found!', 'ready');
+        setApplyStatus(card, '');
     }
 }
 
-function createSuggestionCard(data) {
-    const {
-        originalText,
-        correctedText,
-        alternative,
-        summary,
-        suggestion,
-    } = data;
-
-    const isNoIssues = Boolean(data.noIssues || data.hasIssues === false);
-    const displayOriginal = originalText ?? '';
-    const displayRevisedRaw = correctedText ?? '';
-    const showRevisedSection = !isNoIssues && displayRevisedRaw.trim().length > 0;
-    const displayRevised = showRevisedSection ? displayRevisedRaw : '';
+function setApplyButtonsDisabled(card, isDisabled) {
+    card.querySelectorAll('.btn-apply, .btn-undo').forEach((button) => {
+        button.disabled = Boolean(isDisabled);
+    });
+}
 
-    const card = document.createElement('div');
-    card.className = 'suggestion-card';
-    if (typeof data.timestamp === 'number') {
-        card.dataset.timestamp = String(data.timestamp);
-    }
-    if (data.elementId) {
-        card.dataset.elementId = data.elementId;
+function setApplyStatus(card, message, isError = false) {
+    const statusEl = card.querySelector('.apply-status');
+    if (!statusEl) {
+        return;
     }
 
-    if (isNoIssues) {
-        card.classList.add('no-issues-card');
+    statusEl.textContent = message || '';
+    statusEl.hidden = !message;
+    statusEl.classList.toggle('is-error', Boolean(isError));
+}
+
+/**
+ * Streaming cards are keyed by field; a selection has no field, so its request stands in
+ */
+function getPartialKey(partial) {
+    return partial.elementId ?? `request:${partial.requestId}`;
+}
+
+/**
+ * Show or update the card for a check whose revision is still being generated
+ */
+function handlePartialSuggestion(partial) {
+    if (!partial || (!partial.elementId && !partial.requestId)) {
+        return;
     }
 
-    const timeString = new Date(data.timestamp || Date.now()).toLocaleTimeString();
+    const key = getPartialKey(partial);
+    const existing = state.partialSuggestions.get(key);
+    const cardSelector = `.suggestion-card.is-streaming[data-partial-key="${CSS.escape(key)}"]`;
+    const existingCard = document.querySelector(cardSelector);
 
-    let alternativeHTML = '';
-    if (alternative) {
-        alternativeHTML = `
-            <div class="text-section text-section-alternative">
-                <div class="text-label">
-                    <span>Alternative Suggestion</span>
-                    <a href="#" class="copy-link copy-link-alt" data-text="${escapeHtml(alternative)}">Copy</a>
-                </div>
-                <div class="text-content">${escapeHtml(alternative)}</div>
-            </div>
-        `;
+    if (partial.discarded) {
+        if (existing?.requestId === partial.requestId) {
+            state.partialSuggestions.delete(key);
+            existingCard?.remove();
+
+            const container = document.getElementById('suggestions');
+            if (container && container.children.length === 0) {
+                container.appendChild(createEmptyState());
+                updateStatus('Ready to check your writing', 'ready');
+            }
+        }
+        return;
     }
 
-    let summaryHTML = '';
-    if (summary) {
-        summaryHTML = `
-            <div class="explanation">
-                <strong>Summary:</strong> ${escapeHtml(summary)}
-            </div>
-        `;
+    state.partialSuggestions.set(key, partial);
+    updateStatus(partial.provisional ? 'Quick check done; waiting for the model…' : 'Receiving suggestion…', 'working');
+
+    if (existingCard && Boolean(existing?.provisional) !== Boolean(partial.provisional)) {
+        existingCard.replaceWith(createStreamingCard(partial));
+        return;
     }
 
-    const titleText = isNoIssues ? 'No issues found' : 'Grammar Suggestion';
-    const originalLabel = 'Original Text';
-    const bannerHTML = isNoIssues
-        ? `<div class="no-issues-banner">
-                        ${escapeHtml(suggestion || 'Your text looks good! No grammar issues found.')}
-                    </div>`
-        : '';
+    if (existingCard) {
+        existingCard.querySelector('.text-original').textContent = restoreSelectionText(partial.originalText, partial.requestId);
+        existingCard.querySelector('.text-corrected').textContent = restoreSelectionText(partial.correctedText, partial.requestId);
+        return;
+    }
 
-    let revisedSection = '';
-    if (showRevisedSection) {
-        revisedSection = `
-        <div class="text-section">
-            <div class="text-label label-corrected">
-                <span>Revised</span>
-                <a href="#" class="copy-link" data-text="${escapeHtml(displayRevised)}">Copy</a>
-            </div>
-            <div class="text-content text-corrected">${escapeHtml(displayRevised)}</div>
-        </div>
-        `;
+    const container = document.getElementById('suggestions');
+    if (!container) {
+        return;
     }
 
+    container.querySelector('.empty-state')?.remove();
+    container.insertBefore(createStreamingCard(partial), container.firstChild);
+}
+
+/**
+ * While the model works, a card shows the rules' result first, then the revision as
+ * it streams in. A provisional card marks the rules' result.
+ */
+function createStreamingCard(partial) {
+    const card = document.createElement('div');
+    card.className = `suggestion-card is-streaming${partial.provisional ? ' is-provisional' : ''}`;
+    card.dataset.partialKey = getPartialKey(partial);
+
     card.innerHTML = `
         <div class="suggestion-header">
-            <span class="suggestion-title">${titleText}</span>
-            <span class="suggestion-time">${timeString}</span>
+            <span class="suggestion-title">${partial.provisional ? 'Quick check' : 'Checking…'}</span>
+            <span class="suggestion-time">${partial.provisional ? 'Waiting for the model' : 'Generating'}</span>
         </div>
-        ${bannerHTML}
+        ${partial.provisional ? createIssueChipsHTML(partial.issues) : ''}
         <div class="text-section">
-            <div class="text-label label-original">
-                ${originalLabel}
-            </div>
-            <div class="text-content text-original">${escapeHtml(displayOriginal)}</div>
+            <div class="text-label label-original">Original Text</div>
+            <div class="text-content text-original">${escapeHtml(restoreSelectionText(partial.originalText, partial.requestId))}</div>
         </div>
-        ${revisedSection}
-        ${alternativeHTML}
-    
-        ${summaryHTML}
-    
-        <div class="actions">
-            <button class="btn-dismiss">Dismiss</button>
+        <div class="text-section">
+            <div class="text-label label-corrected"><span>${partial.provisional ? 'Revised by rules (provisional)' : 'Revised (in progress)'}</span></div>
+            <div class="text-content text-corrected">${escapeHtml(restoreSelectionText(partial.correctedText, partial.requestId))}</div>
         </div>
     `;
 
-    const dismissBtn = card.querySelector('.btn-dismiss');
-    const copyLinks = card.querySelectorAll('.copy-link');
-
-    copyLinks.forEach(copyLink => {
-        copyLink.addEventListener('click', (e) => {
-            e.preventDefault();
-            const textToCopy = copyLink.getAttribute('data-text') ?? '';
-            copyToClipboard(textToCopy);
-            const originalLabel = copyLink.dataset.originalText ?? copyLink.textContent;
-            copyLink.dataset.originalText = originalLabel;
-            copyLink.textContent = 'Copied';
-            copyLink.classList.add('is-copied');
-            setTimeout(() => {
-                copyLink.textContent = copyLink.dataset.originalText || 'Copy';
-                delete copyLink.dataset.originalText;
-                copyLink.classList.remove('is-copied');
-            }, 1500);
-        });
-    });
-
-    dismissBtn.addEventListener('click', () => {
-        if (state.port) {
-            try {
-                state.port.postMessage({
-                    action: 'dismissEntry',
-                    timestamp: data.timestamp,
-                    elementId: data.elementId,
-                });
-            } catch (error) {
-                console.error('TypeRight Side Panel: Failed to notify background about dismissal:', error);
-            }
-        }
-
-        card.style.animation = 'slideOut 0.3s ease-out';
-        setTimeout(() => {
-            card.remove();
-
-            state.suggestions = state.suggestions.filter((entry) => {
-                const sameTimestamp = entry.timestamp === data.timestamp;
-                const sameElement = entry.elementId === data.elementId;
-                return !(sameTimestamp && sameElement);
-            });
-
-            const container = document.getElementById('suggestions');
-            if (container && container.children.length === 0) {
-                state.currentSuggestion = null;
-                state.currentTabId = null;
-                container.appendChild(createEmptyState());
-                updateStatus('Ready to check your writing', 'ready');
-            }
-        }, 300);
-    });
-
     return card;
 }
 
@@ -540,7 +2356,7 @@ function displayError(errorMessage) {
     errorCard.className = 'error-card';
     const recoveryHint = /timeout|took longer than/i.test(errorMessage)
         ? 'The selected model may still be loading. Try again or choose a smaller model.'
-        : 'Make sure Ollama is running: ollama serve';
+        : `Make sure ${getSelectedProviderInfo()?.label || 'your AI server'} is running and reachable, or turn on Rules only to keep checking without it.`;
     errorCard.innerHTML = `
     <div class="error-title">⚠️ Error</div>
     <p>${escapeHtml(errorMessage)}</p>
@@ -651,13 +2467,166 @@ function handleModelListResponse(message) {
     populateModelSelect(models, selectedModel);
 
     if (models.length === 0) {
-        updateModelStatus(MODEL_STATUS_MESSAGES.empty, true);
+        updateModelStatus(MODEL_STATUS_MESSAGES.empty(), true);
     } else {
         const effectiveModel = state.selectedModel || models[0]?.name;
         updateModelStatus(MODEL_STATUS_MESSAGES.success(effectiveModel));
     }
 }
 
+function getSelectedProviderInfo() {
+    return state.providers.find((provider) => provider.id === state.selectedProvider) || null;
+}
+
+function handleProviderList(message) {
+    state.providers = Array.isArray(message.providers) ? message.providers : [];
+    state.selectedProvider = message.selectedProvider || state.providers[0]?.id || null;
+    populateProviderSelect();
+    requestProviderSettings();
+}
+
+function populateProviderSelect() {
+    if (!providerSelectEl) {
+        return;
+    }
+
+    providerSelectEl.innerHTML = '';
+
+    state.providers.forEach((provider) => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        option.title = provider.baseUrl;
+        providerSelectEl.appendChild(option);
+    });
+
+    providerSelectEl.value = state.selectedProvider || '';
+}
+
+function handleProviderSelected(provider) {
+    state.selectedProvider = provider;
+    state.availableModels = [];
+    populateProviderSelect();
+    requestProviderSettings();
+    requestModelList({ forceRefresh: true });
+}
+
+function handleConnectionTest(message) {
+    if (testConnectionButton) {
+        testConnectionButton.disabled = false;
+    }
+
+    if (message.success) {
+        const providerLabel = getSelectedProviderInfo()?.label || 'server';
+        const server = message.version ? `${providerLabel} ${message.version}` : providerLabel;
+        const modelCount = `${message.modelCount} model${message.modelCount === 1 ? '' : 's'}`;
+        updateModelStatus(`Connected to ${server} in ${message.latencyMs} ms · ${modelCount} available`);
+    } else {
+        updateModelStatus(message.error || 'Connection test failed.', true);
+    }
+}
+
+function setupConnectionControls() {
+    connectionBaseUrlEl = document.getElementById('connection-base-url');
+    connectionAuthNameEl = document.getElementById('connection-auth-name');
+    connectionAuthValueEl = document.getElementById('connection-auth-value');
+    connectionStatusEl = document.getElementById('connection-status');
+    const saveButton = document.getElementById('save-connection-settings');
+    const resetButton = document.getElementById('reset-connection-settings');
+
+    if (!connectionBaseUrlEl || !connectionAuthNameEl || !connectionAuthValueEl || !connectionStatusEl || !saveButton || !resetButton) {
+        console.warn('TypeRight Side Panel: Connection controls missing from DOM');
+        return;
+    }
+
+    saveButton.addEventListener('click', () => {
+        if (!connectionBaseUrlEl.reportValidity()) {
+            return;
+        }
+
+        let origin;
+        try {
+            origin = new URL(connectionBaseUrlEl.value.trim()).origin;
+        } catch (error) {
+            updateConnectionStatus('Enter a full URL, such as http://192.168.1.20:11434.', true);
+            return;
+        }
+
+        // Host access is requested here because Chrome only shows the prompt during a click
+        chrome.permissions.request({ origins: [`${origin}/*`] }).then((granted) => {
+            if (!granted) {
+                updateConnectionStatus(`Permission to reach ${origin} was not granted.`, true);
+                return;
+            }
+
+            postConnectionSettings({
+                baseUrl: connectionBaseUrlEl.value,
+                authHeaderName: connectionAuthNameEl.value || 'Authorization',
+                authHeaderValue: connectionAuthValueEl.value,
+            });
+        }).catch((error) => {
+            updateConnectionStatus(error.message || 'Unable to request access to that address.', true);
+        });
+    });
+
+    resetButton.addEventListener('click', () => {
+        postConnectionSettings({ baseUrl: '', authHeaderName: '', authHeaderValue: '' });
+    });
+}
+
+function requestProviderSettings() {
+    if (state.port && connectionStatusEl && state.selectedProvider) {
+        state.port.postMessage({ action: 'getProviderSettings', provider: state.selectedProvider });
+    }
+}
+
+function postConnectionSettings(settings) {
+    if (!state.port) {
+        updateConnectionStatus('Not connected. Reopen the side panel and try again.', true);
+        return;
+    }
+
+    updateConnectionStatus('Saving…');
+    state.port.postMessage({
+        action: 'setProviderSettings',
+        provider: state.selectedProvider,
+        settings,
+    });
+}
+
+function handleProviderSettings(message) {
+    if (message.provider !== state.selectedProvider || !connectionBaseUrlEl) {
+        return;
+    }
+
+    connectionBaseUrlEl.value = message.baseUrl || '';
+    connectionBaseUrlEl.placeholder = message.defaultBaseUrl || '';
+    connectionAuthNameEl.value = message.authHeaderName || '';
+    connectionAuthValueEl.value = message.authHeaderValue || '';
+
+    const provider = getSelectedProviderInfo();
+    if (provider && message.baseUrl) {
+        provider.baseUrl = message.baseUrl;
+        populateProviderSelect();
+    }
+
+    if (message.error) {
+        updateConnectionStatus(message.error, true);
+    } else if (message.saved) {
+        updateConnectionStatus(`Saved. Using ${message.baseUrl}.`);
+        requestModelList({ forceRefresh: true });
+    }
+}
+
+function updateConnectionStatus(message, isError = false) {
+    if (!connectionStatusEl) {
+        return;
+    }
+
+    connectionStatusEl.textContent = message || '';
+    connectionStatusEl.classList.toggle('is-error', Boolean(isError));
+}
+
 function handleModelSelected(model) {
     if (!modelSelectEl) {
         return;
@@ -770,6 +2739,10 @@ function setModelControlsLoading(isLoading, statusMessage) {
         refreshModelsButton.disabled = Boolean(isLoading);
     }
 
+    if (providerSelectEl) {
+        providerSelectEl.disabled = Boolean(isLoading);
+    }
+
     if (statusMessage) {
         updateModelStatus(statusMessage, false);
     }
@@ -819,6 +2792,11 @@ function removeSuggestion(identifier = {}) {
 
     const { timestamp, elementId = null } = identifier;
 
+    if (!elementId && state.scratchpad.history.some((entry) => entry.timestamp === timestamp)) {
+        setScratchpadHistory(state.scratchpad.history.filter((entry) => entry.timestamp !== timestamp));
+        return;
+    }
+
     const filtered = state.suggestions.filter((entry) => {
         const sameTimestamp = entry.timestamp === timestamp;
         const sameElement = elementId ? entry.elementId === elementId : true;